@@ -3,9 +3,18 @@ const apn = require('apn');
 const cors = require('cors');
 const fetch = require('node-fetch');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { Pool } = require('pg');
+const sharp = require('sharp');
 require('dotenv').config();
 
 const app = express();
+app.set('trust proxy', true); // req.protocol follows X-Forwarded-Proto behind the Heroku router
 app.use(express.json());
 app.use(cors());
 
@@ -28,29 +37,204 @@ app.get('/app-ads.txt', (req, res) => {
     res.send('google.com, pub-3555260852894621, DIRECT, f08c47fec0942fa0');
 });
 
-// In-memory storage for demo (replace with real database later)
+// In-memory storage (users are persisted to PostgreSQL when DATABASE_URL is set)
 let users = new Map(); // device_token -> user data
 let stockItems = new Map(); // item_name -> quantity
 let previousStockItems = new Map(); // For change detection
 
-// Deduplication tracking
-let recentNotifications = new Map(); // device_token -> Map(category+items -> timestamp)
+// Deduplication tracking (shared notification_dedup table when PostgreSQL is ready; this Map is the fallback)
+let recentNotifications = new Map(); // device_token -> Map(dedup_key|cycle_key -> expires at)
 const DEFAULT_DEDUPLICATION_WINDOW = 5 * 60 * 1000; // seeds/gear default 5 minutes
 
-// Category-specific dedup windows to avoid spam for slower restock cadences
-function getCategoryDedupWindowMs(categoryName) {
-  const cat = String(categoryName || '').toLowerCase();
-  if (cat === 'eggs') {
+// MARK: - Admin Auth
+
+// Constant-time comparison; hashing first gives equal-length buffers whatever the input's length or encoding
+function secretsMatch(provided, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+// Admin secret from the X-API-Secret header or the JSON body (never the query string, which ends up in access logs)
+function hasAdminSecret(req) {
+  const provided = req.get('X-API-Secret') || req.body?.api_secret;
+  return !!provided && secretsMatch(provided, process.env.API_SECRET || 'growagargen-secret-2025');
+}
+
+// MARK: - Shop Categories
+
+// Every shop the server tracks. Stock processing, payload validation, restock cycles and predictions,
+// countdowns, notification dedup, always-shown items and subscriptions all read from this registry.
+//   upstreamKey:    key of the shop in the v2 stock payload
+//   merchant:       items are nested under <upstreamKey>.stock next to a merchantName
+//   cycle:          restock cadence { interval, type: 'minutes' | 'hours' }, null when unknown
+//   dedupWindowMs:  minimum gap between restock alerts when the cadence is unknown
+//   alwaysShownEnv: env var with comma-separated item IDs that are listed even while out of stock
+// Shops can be added or adjusted without a code change through SHOP_CATEGORIES_JSON, e.g.
+//   [{"id":"event","upstreamKey":"event_stock","displayName":"Event Shop","emoji":"🎪","cycle":{"interval":1,"type":"hours"}}]
+// Unknown *_stock keys in payloads from the primary source are registered automatically (see updateDiscoveredShopCategories).
+const BUILT_IN_SHOP_CATEGORIES = [
+  {
+    id: 'seeds', upstreamKey: 'seed_stock', displayName: 'Seeds', itemLabel: 'seed', emoji: '🌱',
+    cycle: { interval: 5, type: 'minutes' }, alwaysShownEnv: 'SEED_SHOP_ITEM_ID', required: true
+  },
+  {
+    id: 'gear', upstreamKey: 'gear_stock', displayName: 'Gear', itemLabel: 'gear', emoji: '⚙️',
+    cycle: { interval: 5, type: 'minutes' }, alwaysShownEnv: 'GEAR_SHOP_ITEM_ID', required: true
+  },
+  {
+    id: 'cosmetic', upstreamKey: 'cosmetic_stock', displayName: 'Cosmetics', itemLabel: 'cosmetic', emoji: '🎨',
+    cycle: { interval: 4, type: 'hours' }, alwaysShownEnv: 'COSMETICS_SHOP_ITEM_ID', required: true
+  },
+  {
+    id: 'eggs', upstreamKey: 'egg_stock', displayName: 'Eggs', itemLabel: 'egg', emoji: '🥚',
     // Eggs restock every ~30 minutes → notify no more than once per ~40 minutes
-    return 40 * 60 * 1000;
+    cycle: { interval: 30, type: 'minutes' }, dedupWindowMs: 40 * 60 * 1000, alwaysShownEnv: 'EGG_SHOP_ITEM_ID', required: true,
+    // The egg shop lists every egg slot separately (aggregated by name) next to location markers
+    aggregateByName: true,
+    includeItem: item => !!item.display_name && !item.display_name.toLowerCase().includes('location')
+  },
+  {
+    id: 'traveling_merchant', upstreamKey: 'travelingmerchant_stock', displayName: 'Traveling Merchant', itemLabel: 'traveling merchant', emoji: '🛒',
+    cycle: { interval: 4, type: 'hours' }, cycleOffsetEnv: 'TM_WINDOW_OFFSET_MINUTES', dedupWindowMs: 8 * 60 * 60 * 1000, alwaysShownEnv: null, merchant: true
+  }
+];
+
+const shopCategories = new Map(); // id -> category definition, in listing order
+
+function formatShopDisplayName(id) {
+  return id.split('_').filter(Boolean).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function isValidShopCycle(cycle) {
+  return !!cycle && Number.isInteger(cycle.interval) && cycle.interval > 0 && ['minutes', 'hours'].includes(cycle.type);
+}
+
+// Add or update a shop; unspecified fields keep their current value (or the defaults for a new shop)
+function registerShopCategory(definition) {
+  const existing = shopCategories.get(definition.id);
+  const category = {
+    upstreamKey: `${definition.id}_stock`,
+    displayName: formatShopDisplayName(definition.id),
+    itemLabel: formatShopDisplayName(definition.id).toLowerCase(),
+    emoji: '📦',
+    cycle: null,
+    dedupWindowMs: DEFAULT_DEDUPLICATION_WINDOW,
+    alwaysShownEnv: `${definition.id.toUpperCase()}_SHOP_ITEM_ID`,
+    required: false,
+    merchant: false,
+    discovered: false,
+    ...existing,
+    ...definition
+  };
+  if (category.cycle !== null && !isValidShopCycle(category.cycle)) {
+    console.log(`⚠️ Ignoring invalid restock cycle for shop category ${category.id}`);
+    category.cycle = existing?.cycle || null;
+  }
+  shopCategories.set(category.id, category);
+  return category;
+}
+
+function loadShopCategories() {
+  BUILT_IN_SHOP_CATEGORIES.forEach(registerShopCategory);
+
+  if (!process.env.SHOP_CATEGORIES_JSON) return;
+  try {
+    const definitions = JSON.parse(process.env.SHOP_CATEGORIES_JSON);
+    for (const definition of Array.isArray(definitions) ? definitions : []) {
+      if (!definition || typeof definition.id !== 'string' || !/^[a-z0-9_]+$/.test(definition.id)) {
+        console.log('⚠️ Skipping shop category without a valid id (lowercase letters, digits, underscores)');
+        continue;
+      }
+      registerShopCategory(definition);
+      console.log(`🏪 Shop category configured: ${definition.id}`);
+    }
+  } catch (error) {
+    console.error('❌ Invalid SHOP_CATEGORIES_JSON:', error.message);
+  }
+}
+
+function getShopCategory(id) {
+  return shopCategories.get(id) || null;
+}
+
+function getShopCategories() {
+  return Array.from(shopCategories.values());
+}
+
+// Items of one shop in a v2 stock payload
+function getShopPayloadItems(data, shop) {
+  const value = data?.[shop.upstreamKey];
+  return (shop.merchant ? value?.stock : value) || [];
+}
+
+const DISCOVERED_SHOP_EXPIRY_POLLS = parseInt(process.env.DISCOVERED_SHOP_EXPIRY_POLLS || '120'); // ~1 hour of 30s polls
+
+// Register shops the game added since this server was configured, from any unknown *_stock key, and drop
+// discovered shops that were missing or empty in the last DISCOVERED_SHOP_EXPIRY_POLLS snapshots. Runs on validated
+// snapshots from the primary source only; a new shop's items get the same per-item checks as known shops.
+function updateDiscoveredShopCategories(data) {
+  const knownKeys = new Set(getShopCategories().map(shop => shop.upstreamKey));
+  for (const [key, value] of Object.entries(data || {})) {
+    if (!key.endsWith('_stock') || knownKeys.has(key)) continue;
+    const merchant = !Array.isArray(value) && Array.isArray(value?.stock);
+    if (!Array.isArray(value) && !merchant) continue;
+
+    const id = key.slice(0, -'_stock'.length).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+    if (!id || shopCategories.has(id)) continue;
+    registerShopCategory({ id, upstreamKey: key, merchant, discovered: true });
+    data[key] = merchant
+      ? { ...value, stock: normalizePayloadEntries(value.stock, normalizeStockPayloadItem, `${id} stock`) }
+      : normalizePayloadEntries(value, normalizeStockPayloadItem, `${id} stock`);
+    console.log(`🆕 Discovered shop category "${id}" from upstream key ${key} (configure it with SHOP_CATEGORIES_JSON)`);
+  }
+
+  for (const shop of getShopCategories()) {
+    if (!shop.discovered) continue;
+    // Validation fills absent optional shops with an empty list, so an empty shop counts as missing
+    if (getShopPayloadItems(data, shop).length > 0) {
+      shop.missedPolls = 0;
+      continue;
+    }
+    shop.missedPolls = (shop.missedPolls || 0) + 1;
+    if (shop.missedPolls >= DISCOVERED_SHOP_EXPIRY_POLLS) {
+      shopCategories.delete(shop.id);
+      console.log(`🗑️ Dropped discovered shop category "${shop.id}" (missing or empty in ${shop.missedPolls} snapshots)`);
+    }
   }
-  // Cosmetic/others can use default unless customized later
-  return DEFAULT_DEDUPLICATION_WINDOW;
 }
 
+// Category-specific dedup windows to avoid spam for slower restock cadences
+function getCategoryDedupWindowMs(categoryName) {
+  return getShopCategory(String(categoryName || '').toLowerCase())?.dedupWindowMs || DEFAULT_DEDUPLICATION_WINDOW;
+}
+
+function serializeShopCategory(shop) {
+  return {
+    id: shop.id,
+    upstream_key: shop.upstreamKey,
+    display_name: shop.displayName,
+    emoji: shop.emoji,
+    merchant: shop.merchant,
+    discovered: shop.discovered,
+    restock_cycle: shop.cycle ? { interval: shop.cycle.interval, interval_type: shop.cycle.type } : null,
+    dedup_window_seconds: Math.round(shop.dedupWindowMs / 1000),
+    always_shown_env: shop.alwaysShownEnv
+  };
+}
+
+loadShopCategories();
+
 // APNs Provider - will be initialized when we have the key
 let apnProvider = null;
 
+// FCM (Android) configuration - initialized from FCM_SERVICE_ACCOUNT_JSON / FCM_ACCESS_TOKEN
+let fcmConfig = null; // { projectId, serviceAccount, apiBaseUrl, staticAccessToken, silentChannelId }
+let fcmAccessTokenCache = { token: null, expiresAt: 0 };
+
+// PostgreSQL pool - initialized when DATABASE_URL is configured
+let dbPool = null;
+let isDatabaseReady = false;
+
 // Weather data storage
 let weatherData = new Map(); // weather_id -> weather data
 let previousWeatherData = new Map(); // For change detection
@@ -67,8 +251,6 @@ let apiCallCount = 0;
 let successfulAPICallCount = 0;
 let isUpdateInProgress = false; // prevent overlapping updates
 let tmRetryState = { attempts: 0, lastWindowStartUnix: null, timer: null }; // traveling merchant retry
-// Track per-process last TM window alert to avoid repeated sends after data refreshes
-let lastTmAlertWindowUnix = null;
 
 // New v2 API endpoints
 const STOCK_API_URL = 'https://api.joshlei.com/v2/growagarden/stock';
@@ -84,43 +266,17 @@ const EVENT_API_URL = 'https://api.joshlei.com/v2/growagarden/currentevent';
 
 // Cache for item info to avoid repeated API calls
 let itemInfoCache = new Map(); // item_id -> item_info
+const itemInfoRequests = new Map(); // item_id -> in-flight lookup, shared by concurrent callers
 const ITEM_INFO_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
 
 // Parse environment variables for always-shown items
 function parseAlwaysShownItems() {
-  const seedItems = (process.env.SEED_SHOP_ITEM_ID || '').split(',').map(id => id.trim()).filter(id => id);
-  const gearItems = (process.env.GEAR_SHOP_ITEM_ID || '').split(',').map(id => id.trim()).filter(id => id);
-  const eggItems = (process.env.EGG_SHOP_ITEM_ID || '').split(',').map(id => id.trim()).filter(id => id);
-  const cosmeticItems = (process.env.COSMETICS_SHOP_ITEM_ID || '').split(',').map(id => id.trim()).filter(id => id);
-  
-  return {
-    seeds: seedItems,
-    gear: gearItems,
-    eggs: eggItems,
-    cosmetic: cosmeticItems
-  };
-}
-
-// Parse rarity fixes from environment variable
-function parseRarityFixes() {
-  const rarityFixString = process.env.RARITY_FIX || '';
-  const rarityFixes = new Map();
-  
-  if (rarityFixString.trim()) {
-    const fixes = rarityFixString.split(',').map(fix => fix.trim()).filter(fix => fix);
-    
-    for (const fix of fixes) {
-      const [itemId, rarity] = fix.split('=').map(part => part.trim());
-      if (itemId && rarity) {
-        // Normalize rarity to proper case (first letter uppercase)
-        const normalizedRarity = rarity.charAt(0).toUpperCase() + rarity.slice(1).toLowerCase();
-        rarityFixes.set(itemId, normalizedRarity);
-        console.log(`🔧 Rarity fix loaded: ${itemId} → ${normalizedRarity}`);
-      }
-    }
+  const alwaysShownItems = {};
+  for (const shop of getShopCategories()) {
+    if (!shop.alwaysShownEnv) continue;
+    alwaysShownItems[shop.id] = (process.env[shop.alwaysShownEnv] || '').split(',').map(id => id.trim()).filter(id => id);
   }
-  
-  return rarityFixes;
+  return alwaysShownItems;
 }
 
 // Parse list of weather names to ignore (comma-separated, case-insensitive)
@@ -137,69 +293,64 @@ function parseIgnoredWeatherTokens() {
   }
 }
 
-// Get rarity override for an item (takes priority over API)
-function getRarityOverride(itemId) {
-  const rarityFixes = parseRarityFixes();
-  return rarityFixes.get(itemId) || null;
-}
-
 // Fetch always-shown items and add them to processed items if not already present
 async function addAlwaysShownItems(processedItems) {
   const alwaysShownItems = parseAlwaysShownItems();
   
   console.log(`📋 Always-shown items configured:`);
-  console.log(`   Seeds: ${alwaysShownItems.seeds.length} items (${alwaysShownItems.seeds.join(', ')})`);
-  console.log(`   Gear: ${alwaysShownItems.gear.length} items (${alwaysShownItems.gear.join(', ')})`);
-  console.log(`   Eggs: ${alwaysShownItems.eggs.length} items (${alwaysShownItems.eggs.join(', ')})`);
-  console.log(`   Cosmetic: ${alwaysShownItems.cosmetic.length} items (${alwaysShownItems.cosmetic.join(', ')})`);
-  
-  // Process each category
   for (const [category, itemIds] of Object.entries(alwaysShownItems)) {
-    for (const itemId of itemIds) {
-      try {
-        // Fetch item info from the API
-        const itemInfo = await fetchItemInfo(itemId);
-        
-        if (!itemInfo) {
-          console.log(`⚠️ Could not fetch info for always-shown item: ${itemId}`);
-          continue;
-        }
-        
-        // Check if item is already in processed items (from current stock)
-        const existingItem = processedItems.get(itemInfo.display_name);
-        
-        if (existingItem) {
-          console.log(`✅ Always-shown item ${itemInfo.display_name} already in stock (qty: ${existingItem.quantity})`);
-          continue;
-        }
-        
-        // Get rarity with priority: Override > API > null
-        const rarityOverride = getRarityOverride(itemId);
-        const finalRarity = rarityOverride || itemInfo.rarity || null;
-        
-        // Add the item with quantity 0 (out of stock but available for favoriting)
-        const itemData = {
-          quantity: 0,
-          category: category,
-          itemId: itemInfo.item_id,
-          displayName: itemInfo.display_name,
-          icon: itemInfo.icon,
-          startDate: null,
-          endDate: null,
-          rarity: finalRarity  // Priority: Override > API > null
-        };
-        
-        // For eggs, also add originalName for compatibility
-        if (category === 'eggs') {
-          itemData.originalName = itemInfo.display_name;
-        }
-        
-        processedItems.set(itemInfo.display_name, itemData);
-        console.log(`📦 Added always-shown item: ${itemInfo.display_name} [${category}] (out of stock, available for favorites)`);
-        
-      } catch (error) {
-        console.error(`❌ Error processing always-shown item ${itemId}:`, error.message);
+    console.log(`   ${getShopCategory(category).displayName}: ${itemIds.length} items (${itemIds.join(', ')})`);
+  }
+  
+  // Look up every item concurrently, then add them in configured order
+  const entries = Object.entries(alwaysShownItems).flatMap(([category, itemIds]) => itemIds.map(itemId => ({ category, itemId })));
+  const itemInfos = await mapWithConcurrency(entries, STOCK_ENRICHMENT_CONCURRENCY, ({ itemId }) => fetchItemInfo(itemId));
+
+  for (const [index, { category, itemId }] of entries.entries()) {
+    try {
+      const itemInfo = itemInfos[index];
+      
+      if (!itemInfo) {
+        console.log(`⚠️ Could not fetch info for always-shown item: ${itemId}`);
+        continue;
+      }
+      
+      // Check if item is already in processed items (from current stock)
+      const existingItem = processedItems.get(itemInfo.display_name);
+      
+      if (existingItem) {
+        console.log(`✅ Always-shown item ${itemInfo.display_name} already in stock (qty: ${existingItem.quantity})`);
+        continue;
+      }
+      
+      // Get rarity with priority: Override > API > learned > defaults > null
+      const finalRarity = resolveItemRarity({ itemId, itemName: itemInfo.display_name, apiRarity: itemInfo.rarity }).rarity;
+      
+      queueIconRevalidation(itemInfo.item_id, itemInfo.icon);
+      
+      // Add the item with quantity 0 (out of stock but available for favoriting)
+      const itemData = {
+        quantity: 0,
+        category: category,
+        itemId: itemInfo.item_id,
+        displayName: itemInfo.display_name,
+        icon: getIconUrl(itemInfo.item_id),
+        sourceIcon: itemInfo.icon || null,
+        startDate: null,
+        endDate: null,
+        rarity: finalRarity
+      };
+      
+      // For eggs, also add originalName for compatibility
+      if (category === 'eggs') {
+        itemData.originalName = itemInfo.display_name;
       }
+      
+      processedItems.set(itemInfo.display_name, itemData);
+      console.log(`📦 Added always-shown item: ${itemInfo.display_name} [${category}] (out of stock, available for favorites)`);
+      
+    } catch (error) {
+      console.error(`❌ Error processing always-shown item ${itemId}:`, error.message);
     }
   }
 }
@@ -226,102 +377,2851 @@ function initializeAPNs() {
   }
 }
 
-// Fetch real stock data from the v2 API
-async function fetchRealStockData() {
+// Initialize FCM HTTP v1 configuration for Android devices
+function initializeFCM() {
+  const rawServiceAccount = process.env.FCM_SERVICE_ACCOUNT_JSON;
+  const staticAccessToken = process.env.FCM_ACCESS_TOKEN || null; // e.g., for a local FCM stand-in
+
+  if (!rawServiceAccount && !staticAccessToken) {
+    console.log('⚠️ FCM not configured yet (Android notifications disabled)');
+    return;
+  }
+
   try {
-    console.log('🔄 Fetching stock data from v2 API...');
-    
-    // Track API call metrics
-    lastAPICallTime = new Date();
-    apiCallCount++;
-    
-    const apiKey = process.env.JSTUDIO_API_KEY;
-    if (!apiKey) {
-      console.log('⚠️ No API key configured, using mock data');
-      return createMockStockData();
+    const serviceAccount = rawServiceAccount ? JSON.parse(rawServiceAccount) : null;
+    const projectId = process.env.FCM_PROJECT_ID || serviceAccount?.project_id;
+    if (!projectId) {
+      console.log('⚠️ FCM project id missing (set FCM_PROJECT_ID or include project_id in FCM_SERVICE_ACCOUNT_JSON)');
+      return;
     }
-    
-    const response = await fetch(STOCK_API_URL, {
-      headers: {
-        'jstudio-key': apiKey,
-        'Accept': 'application/json',
-        'User-Agent': 'GrowAGarden-StockBot/1.0'
+
+    fcmConfig = {
+      projectId,
+      serviceAccount,
+      apiBaseUrl: (process.env.FCM_API_BASE_URL || 'https://fcm.googleapis.com').replace(/\/$/, ''),
+      staticAccessToken,
+      // Android 8+ takes sound from the notification channel, so silent pushes go to a channel the app creates without one
+      silentChannelId: process.env.FCM_SILENT_CHANNEL_ID || 'quiet_hours'
+    };
+    console.log(`✅ FCM initialized successfully (project: ${projectId})`);
+  } catch (error) {
+    console.error('❌ Failed to initialize FCM:', error.message);
+  }
+}
+
+// MARK: - Notification Channels
+
+// Platform-neutral push message (same fields the APNs Notification uses)
+function createPushMessage() {
+  return {
+    alert: null,
+    payload: {},
+    badge: undefined,
+    sound: 'default',
+    silent: false, // delivered without sound or vibration (quiet hours)
+    threadId: null,
+    category: null
+  };
+}
+
+// Deliver a push message through APNs (iOS)
+async function sendViaAPNs(deviceToken, message) {
+  const notification = new apn.Notification();
+  notification.alert = message.alert;
+  notification.payload = message.payload;
+  notification.badge = message.badge;
+  notification.sound = message.sound;
+  notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
+  if (message.threadId) notification.threadId = message.threadId;
+  if (message.category) notification.category = message.category;
+
+  return apnProvider.send(notification, [deviceToken]);
+}
+
+// Get (and cache) an OAuth2 access token for FCM HTTP v1 using the service account
+async function getFcmAccessToken() {
+  if (fcmConfig.staticAccessToken) return fcmConfig.staticAccessToken;
+
+  if (fcmAccessTokenCache.token && Date.now() < fcmAccessTokenCache.expiresAt - 60 * 1000) {
+    return fcmAccessTokenCache.token;
+  }
+
+  const serviceAccount = fcmConfig.serviceAccount;
+  const tokenUri = serviceAccount.token_uri || 'https://oauth2.googleapis.com/token';
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    iss: serviceAccount.client_email,
+    scope: 'https://www.googleapis.com/auth/firebase.messaging',
+    aud: tokenUri,
+    iat: issuedAt,
+    exp: issuedAt + 3600
+  })).toString('base64url');
+  const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(serviceAccount.private_key, 'base64url');
+
+  const response = await fetch(tokenUri, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${header}.${claims}.${signature}`
+    }).toString()
+  });
+
+  if (!response.ok) {
+    throw new Error(`FCM token request failed: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  fcmAccessTokenCache = {
+    token: data.access_token,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+  };
+  return fcmAccessTokenCache.token;
+}
+
+// Deliver a push message through FCM HTTP v1 (Android), returning an APNs-shaped result
+async function sendViaFCM(deviceToken, message) {
+  // FCM data values must be strings
+  const data = {};
+  for (const [key, value] of Object.entries(message.payload || {})) {
+    if (value === undefined || value === null) continue;
+    data[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  if (message.threadId) data.thread_id = message.threadId;
+  if (message.silent) data.silent = 'true';
+
+  const androidNotification = {};
+  if (message.silent) {
+    androidNotification.channel_id = fcmConfig.silentChannelId;
+    androidNotification.default_sound = false;
+    androidNotification.notification_priority = 'PRIORITY_LOW';
+  } else if (message.sound) {
+    androidNotification.sound = message.sound.replace(/\.mp3$/, '');
+  }
+  if (typeof message.badge === 'number') androidNotification.notification_count = message.badge;
+  if (message.category) androidNotification.click_action = message.category;
+
+  const body = {
+    message: {
+      token: deviceToken,
+      notification: message.alert ? { title: message.alert.title, body: message.alert.body } : undefined,
+      data,
+      android: {
+        priority: message.silent ? 'normal' : 'high',
+        notification: androidNotification
       }
+    }
+  };
+
+  try {
+    const accessToken = await getFcmAccessToken();
+    const response = await fetch(`${fcmConfig.apiBaseUrl}/v1/projects/${fcmConfig.projectId}/messages:send`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      timeout: 10000
     });
 
-    if (response.status === 401 || response.status === 403) {
-      console.log(`⚠️ API returned ${response.status} - keeping existing stock data`);
-      // Don't fall back to mock data, keep existing stock to maintain consistency
-      if (stockItems.size > 0) {
-        console.log(`📦 Preserving existing ${stockItems.size} stock items`);
-        return new Map(stockItems); // Return copy of current stock
-      } else {
-        console.log(`📦 No existing stock, using mock data as last resort`);
-        return createMockStockData();
-      }
+    if (response.ok) {
+      return { sent: [{ device: deviceToken }], failed: [] };
     }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const errorBody = await response.json().catch(() => ({}));
+    const errorStatus = errorBody.error?.status || '';
+    const errorCode = (errorBody.error?.details || []).map(d => d.errorCode).find(Boolean) || errorStatus;
+    const errorMessage = errorBody.error?.message || `HTTP ${response.status}`;
+
+    // Map FCM token errors onto the APNs reasons the cleanup logic already understands
+    let reason = errorCode || 'Unknown';
+    if (errorCode === 'UNREGISTERED' || errorStatus === 'NOT_FOUND') {
+      reason = 'Unregistered';
+    } else if (errorCode === 'INVALID_ARGUMENT' && /registration token/i.test(errorMessage)) {
+      reason = 'BadDeviceToken';
     }
 
-    const data = await response.json();
-    console.log('✅ Successfully fetched v2 stock data');
-    
-    // Track successful API call
-    successfulAPICallCount++;
-    lastStockUpdateTime = new Date();
-    
-    console.log('🔍 Validating image URLs before processing...');
-    return await processStockData(data);
-    
+    return {
+      sent: [],
+      failed: [{ device: deviceToken, status: response.status, error: errorMessage, response: { reason } }]
+    };
   } catch (error) {
-    console.error('❌ Error fetching v2 stock data:', error.message);
-    
-    // Preserve existing stock data instead of falling back to mock
-    if (stockItems.size > 0) {
-      console.log(`📦 API failed, preserving existing ${stockItems.size} stock items`);
-      return new Map(stockItems); // Return copy of current stock
-    } else {
-      console.log('🔄 No existing stock, using mock data as fallback');
-      return createMockStockData();
-    }
+    return { sent: [], failed: [{ device: deviceToken, error: error.message, response: { reason: 'NetworkError' } }] };
   }
 }
 
-// Fetch item info from the v2 API
-async function fetchItemInfo(itemId) {
+// Available delivery channels, selected by device platform
+const notificationChannels = {
+  apns: { name: 'APNs', isReady: () => !!apnProvider, send: sendViaAPNs },
+  fcm: { name: 'FCM', isReady: () => !!fcmConfig, send: sendViaFCM }
+};
+
+// Pick the channel for a platform string ('android' → FCM, everything else → APNs)
+function getPlatformChannel(platform) {
+  return String(platform || '').toLowerCase() === 'android' ? notificationChannels.fcm : notificationChannels.apns;
+}
+
+// Pick the channel for a registered device (platformHint is used for unregistered tokens)
+function getDeviceChannel(deviceToken, platformHint) {
+  return getPlatformChannel(platformHint || users.get(deviceToken)?.platform);
+}
+
+function isAnyNotificationChannelReady() {
+  // Replayed notifications are only logged, so they do not need a configured channel
+  return !!upstreamReplay || Object.values(notificationChannels).some(channel => channel.isReady());
+}
+
+// Send a push message to one device through its platform channel
+async function sendPushNotification(deviceToken, message, platformHint) {
+  const channel = getDeviceChannel(deviceToken, platformHint);
+  if (upstreamReplay) {
+    console.log(`⏯️ Replay: ${channel.name} push to ${deviceToken.substring(0, 10)}... not sent: ${JSON.stringify(message.alert)}`);
+    return { sent: [{ device: deviceToken }], failed: [] };
+  }
+  if (!channel.isReady()) {
+    return { sent: [], failed: [{ device: deviceToken, error: `${channel.name} not configured`, response: { reason: 'NotConfigured' } }] };
+  }
+  return channel.send(deviceToken, message);
+}
+
+// MARK: - Quiet Hours & Digests
+
+const QUIET_HOURS_MODES = ['drop', 'silent', 'digest'];
+const DIGEST_MODES = ['off', 'hourly', 'cycles', 'daily'];
+const DIGEST_QUEUE_LIMIT = 100; // queued alerts kept per user
+const DIGEST_DEFAULT_CYCLES = 3;
+const DIGEST_DEFAULT_DAILY_TIME = '09:00';
+const DIGEST_RETRY_BASE_DELAY_MS = 60 * 1000; // first retry after a transient send failure, doubled per attempt
+const DIGEST_MAX_ATTEMPTS = 6; // the queue is dropped after this many failed sends
+// Alerts a digest can hold back; event reminders are time-sensitive and always go out
+const DIGEST_NOTIFICATION_TYPES = ['category_stock_alert', 'premium_seed_stock_alert', 'weather_active', 'weather_ended', 'traveling_merchant'];
+
+// Check an IANA time zone name (e.g., "Europe/Berlin")
+function isValidTimeZone(timeZone) {
   try {
-    // Check cache first
-    const cached = itemInfoCache.get(itemId);
-    if (cached && (Date.now() - cached.lastFetched) < ITEM_INFO_CACHE_DURATION) {
-      return cached.data;
-    }
-    
-    const apiKey = process.env.JSTUDIO_API_KEY;
-    if (!apiKey) {
-      console.log(`⚠️ No API key configured, skipping item info for ${itemId}`);
-      return null;
-    }
-    
-    const response = await fetch(`${ITEM_INFO_API_URL}/${itemId}`, {
-      headers: {
-        'jstudio-key': apiKey,
-        'Accept': 'application/json',
-        'User-Agent': 'GrowAGarden-StockBot/1.0'
-      }
-    });
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
 
-    if (!response.ok) {
-      if (response.status === 404) {
+// Parse "HH:MM" into minutes after midnight
+function parseClockTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// Minutes after midnight in the user's time zone (UTC when unset/invalid)
+function getLocalMinutesOfDay(timeZone, now = new Date()) {
+  const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: zone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(now);
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+// Whether "now" falls in the user's quiet-hours window (windows may wrap past midnight)
+function isInQuietHours(userData, now = new Date()) {
+  const quietHours = userData?.notification_settings?.quiet_hours;
+  if (!quietHours?.enabled) return false;
+
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const minutes = getLocalMinutesOfDay(userData.notification_settings.time_zone, now);
+  return start < end ? (minutes >= start && minutes < end) : (minutes >= start || minutes < end);
+}
+
+function getQuietHoursMode(userData) {
+  const mode = userData?.notification_settings?.quiet_hours?.mode;
+  return QUIET_HOURS_MODES.includes(mode) ? mode : 'drop';
+}
+
+function getDigestSettings(userData) {
+  const digest = userData?.notification_settings?.digest || {};
+  return {
+    mode: DIGEST_MODES.includes(digest.mode) ? digest.mode : 'off',
+    cycles: Number.isInteger(digest.cycles) && digest.cycles > 0 ? digest.cycles : DIGEST_DEFAULT_CYCLES,
+    time: parseClockTime(digest.time) !== null ? digest.time : DIGEST_DEFAULT_DAILY_TIME
+  };
+}
+
+// Whether a scheduled digest (hourly, every N seed restock cycles, or daily at a local time) is due
+function isDigestDue(userData, now = new Date()) {
+  const { mode, cycles, time } = getDigestSettings(userData);
+  if (mode === 'off') return true;
+
+  const queue = userData.notification_digest || [];
+  const since = new Date(userData.digest_last_sent_at || queue[0]?.queued_at || now);
+
+  if (mode === 'hourly') {
+    return now - since >= 60 * 60 * 1000;
+  }
+  if (mode === 'cycles') {
+    return getCycleIndex('seeds', now) - getCycleIndex('seeds', since) >= cycles;
+  }
+  // daily: due once the most recent occurrence of the local delivery time is after the last digest
+  const minutesSinceTarget = (getLocalMinutesOfDay(userData.notification_settings?.time_zone, now) - parseClockTime(time) + 1440) % 1440;
+  const lastTarget = now.getTime() - minutesSinceTarget * 60 * 1000 - now.getSeconds() * 1000;
+  return since.getTime() < lastTarget;
+}
+
+// Hold an alert for the user's next digest
+async function queueDigestNotification(deviceToken, userData, message) {
+  const queue = Array.isArray(userData.notification_digest) ? userData.notification_digest : [];
+  queue.push({
+    title: message.alert?.title || '',
+    body: message.alert?.body || '',
+    type: message.payload?.type || null,
+    queued_at: new Date().toISOString()
+  });
+  userData.notification_digest = queue.slice(-DIGEST_QUEUE_LIMIT);
+  await saveUserFields(deviceToken, DIGEST_STATE_FIELDS);
+  return userData.notification_digest.length;
+}
+
+// Deliver a user-facing alert, applying the user's digest mode and quiet-hours policy (drop, silent or digest)
+async function deliverUserNotification(deviceToken, message, platformHint) {
+  const userData = users.get(deviceToken);
+  const tokenPreview = deviceToken.substring(0, 10);
+
+  if (getDigestSettings(userData).mode !== 'off' && DIGEST_NOTIFICATION_TYPES.includes(message.payload?.type)) {
+    const queued = await queueDigestNotification(deviceToken, userData, message);
+    console.log(`📰 DIGEST: Queued ${message.payload.type} for ${tokenPreview}... (${queued} queued)`);
+    return { sent: [], failed: [], suppressed: 'digest' };
+  }
+
+  if (!isInQuietHours(userData)) {
+    return sendPushNotification(deviceToken, message, platformHint);
+  }
+
+  const mode = getQuietHoursMode(userData);
+
+  if (mode === 'silent') {
+    console.log(`🌙 QUIET HOURS: Sending silently to ${tokenPreview}...`);
+    return sendPushNotification(deviceToken, { ...message, sound: undefined, silent: true }, platformHint);
+  }
+
+  if (mode === 'digest') {
+    const queued = await queueDigestNotification(deviceToken, userData, message);
+    console.log(`🌙 QUIET HOURS: Queued alert for ${tokenPreview}... morning digest (${queued} queued)`);
+    return { sent: [], failed: [], suppressed: 'digest' };
+  }
+
+  console.log(`🌙 QUIET HOURS: Dropped alert for ${tokenPreview}...`);
+  return { sent: [], failed: [], suppressed: 'drop' };
+}
+
+// One-line count summary of queued alerts, e.g. "12 restocks • 1 weather update"
+function summarizeDigestQueue(queue) {
+  const labels = {
+    restock: ['restock', 'restocks'],
+    weather: ['weather update', 'weather updates'],
+    traveling_merchant: ['Traveling Merchant visit', 'Traveling Merchant visits'],
+    other: ['alert', 'alerts']
+  };
+  const counts = {};
+  for (const entry of queue) {
+    const kind = entry.type?.endsWith('stock_alert') ? 'restock'
+      : entry.type?.startsWith('weather_') ? 'weather'
+      : entry.type === 'traveling_merchant' ? 'traveling_merchant' : 'other';
+    counts[kind] = (counts[kind] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .map(([kind, count]) => `${count} ${labels[kind][count === 1 ? 0 : 1]}`)
+    .join(' • ');
+}
+
+// Network errors, throttling and provider outages are worth retrying; rejected requests and missing credentials are not
+function isTransientPushFailure(failure) {
+  const status = Number(failure?.status);
+  if (status) return status === 429 || status >= 500;
+  return failure?.response?.reason !== 'NotConfigured';
+}
+
+// Record a failed digest send: back off exponentially on transient errors, drop the queue on permanent ones or at the cap
+function recordDigestFailure(userData, failure, now) {
+  const attempts = (userData.digest_retry?.attempts || 0) + 1;
+  if (!isTransientPushFailure(failure) || attempts >= DIGEST_MAX_ATTEMPTS) {
+    const dropped = userData.notification_digest.length;
+    userData.notification_digest = [];
+    delete userData.digest_retry;
+    return { dropped };
+  }
+  const delayMs = DIGEST_RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+  userData.digest_retry = { attempts, next_attempt_at: new Date(now.getTime() + delayMs).toISOString() };
+  return { retryInMs: delayMs };
+}
+
+// Send one summary push to every user whose digest is due (or whose quiet hours ended) with alerts queued
+async function flushNotificationDigests() {
+  const now = new Date();
+  for (const [deviceToken, userData] of users) {
+    const queue = userData.notification_digest;
+    if (!Array.isArray(queue) || queue.length === 0 || isInQuietHours(userData, now) || !isDigestDue(userData, now)) continue;
+    if (userData.digest_retry && now < new Date(userData.digest_retry.next_attempt_at)) continue;
+
+    const { mode } = getDigestSettings(userData);
+    const titles = queue.map(entry => entry.title).filter(Boolean);
+    const shown = titles.slice(0, 4).join(' • ');
+    const digestTitles = {
+      off: '🌅 While you were away',
+      hourly: '📰 Your hourly digest',
+      cycles: '📰 Your restock digest',
+      daily: '📰 Your daily digest'
+    };
+
+    const notification = createPushMessage();
+    notification.alert = {
+      title: `${digestTitles[mode]} (${summarizeDigestQueue(queue)})`,
+      body: titles.length > 4 ? `${shown} & ${titles.length - 4} more` : shown
+    };
+    // Keep the payload small (APNs caps it at 4KB); the app can fetch details from /api/stock
+    notification.payload = {
+      type: 'notification_digest',
+      digest_mode: mode,
+      alert_count: queue.length,
+      alert_types: [...new Set(queue.map(entry => entry.type).filter(Boolean))],
+      first_queued_at: queue[0].queued_at
+    };
+    notification.badge = queue.length;
+    notification.sound = getUserSoundPreference(deviceToken, 'stock');
+    notification.threadId = 'notification-digest';
+    notification.category = 'NOTIFICATION_DIGEST';
+
+    try {
+      const result = await sendPushNotification(deviceToken, notification);
+      if (result.sent.length > 0) {
+        console.log(`📰 Sent ${mode === 'off' ? 'quiet-hours' : mode} digest (${queue.length} alerts) to ${deviceToken.substring(0, 10)}...`);
+      }
+      if (result.failed.length > 0) {
+        const failure = result.failed[0];
+        console.log(`❌ Failed to send digest to ${deviceToken.substring(0, 10)}...: ${failure.error || 'Unknown'}`);
+        if (failure.response?.reason === 'BadDeviceToken' || failure.response?.reason === 'Unregistered') {
+          await removeUser(deviceToken);
+          continue;
+        }
+      }
+      if (result.sent.length === 0) {
+        const outcome = recordDigestFailure(userData, result.failed[0], now);
+        if (outcome.dropped) {
+          console.log(`🗑️ Dropped ${outcome.dropped} queued digest alerts for ${deviceToken.substring(0, 10)}... after a permanent failure or ${DIGEST_MAX_ATTEMPTS} attempts`);
+        } else {
+          console.log(`⏳ Retrying digest for ${deviceToken.substring(0, 10)}... in ${Math.round(outcome.retryInMs / 1000)}s (attempt ${userData.digest_retry.attempts}/${DIGEST_MAX_ATTEMPTS})`);
+        }
+        await saveUserFields(deviceToken, DIGEST_STATE_FIELDS);
+        continue;
+      }
+      userData.notification_digest = [];
+      userData.digest_last_sent_at = now.toISOString();
+      delete userData.digest_retry;
+      await saveUserFields(deviceToken, DIGEST_STATE_FIELDS);
+    } catch (error) {
+      console.error(`❌ Error sending digest to ${deviceToken.substring(0, 10)}...:`, error);
+    }
+  }
+}
+
+// MARK: - Database Persistence
+
+// Initialize PostgreSQL connection and schema
+async function initializeDatabase() {
+  if (upstreamReplay) {
+    console.log('⚠️ Replay mode - database disabled, registered devices will only be kept in memory');
+    return false;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.log('⚠️ DATABASE_URL not configured - registered devices will only be kept in memory');
+    return false;
+  }
+
+  try {
+    dbPool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      // Heroku Postgres requires SSL; set DATABASE_SSL=false for local databases
+      ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+      max: parseInt(process.env.DATABASE_POOL_SIZE || '5'),
+      connectionTimeoutMillis: 10000 // fail instead of waiting forever for a connection
+    });
+
+    dbPool.on('error', (error) => {
+      console.error('❌ PostgreSQL pool error:', error.message);
+    });
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        device_token TEXT PRIMARY KEY,
+        platform TEXT NOT NULL DEFAULT 'ios',
+        app_version TEXT,
+        data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        registered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS stock_history (
+        id BIGSERIAL PRIMARY KEY,
+        item_name TEXT NOT NULL,
+        item_id TEXT,
+        category TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        previous_quantity INTEGER NOT NULL DEFAULT 0,
+        rarity TEXT,
+        start_date_unix BIGINT,
+        end_date_unix BIGINT,
+        observed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await dbPool.query('CREATE INDEX IF NOT EXISTS stock_history_item_idx ON stock_history (item_name, observed_at DESC)');
+    await dbPool.query('CREATE INDEX IF NOT EXISTS stock_history_item_id_idx ON stock_history (item_id, observed_at DESC)');
+    await dbPool.query('CREATE INDEX IF NOT EXISTS stock_history_category_idx ON stock_history (category, observed_at DESC)');
+    // One row per shop cycle the leader saw a snapshot in; restock predictions count these, not elapsed time
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS prediction_cycles (
+        category TEXT NOT NULL,
+        cycle_index BIGINT NOT NULL,
+        observed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (category, cycle_index)
+      )
+    `);
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events JSONB NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_type TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        last_error TEXT,
+        next_attempt_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        delivered_at TIMESTAMPTZ
+      )
+    `);
+    await dbPool.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_idx ON webhook_deliveries (subscription_id, created_at DESC)');
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS notification_dedup (
+        device_token TEXT NOT NULL,
+        dedup_key TEXT NOT NULL,
+        cycle_key TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        PRIMARY KEY (device_token, dedup_key, cycle_key)
+      )
+    `);
+    await dbPool.query('CREATE INDEX IF NOT EXISTS notification_dedup_expires_idx ON notification_dedup (expires_at)');
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS item_rarities (
+        item_id TEXT PRIMARY KEY,
+        item_name TEXT,
+        rarity TEXT NOT NULL,
+        source TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS item_rarity_audit (
+        id BIGSERIAL PRIMARY KEY,
+        item_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        old_rarity TEXT,
+        new_rarity TEXT,
+        actor TEXT,
+        note TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await dbPool.query('CREATE INDEX IF NOT EXISTS item_rarity_audit_item_idx ON item_rarity_audit (item_id, created_at DESC)');
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS icon_mirror (
+        icon_id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        source_url TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        data BYTEA NOT NULL,
+        hash TEXT NOT NULL,
+        source_etag TEXT,
+        source_last_modified TEXT,
+        fetched_at TIMESTAMPTZ NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    // Upstream cache validators were added after icon_mirror first shipped
+    await dbPool.query('ALTER TABLE icon_mirror ADD COLUMN IF NOT EXISTS source_etag TEXT, ADD COLUMN IF NOT EXISTS source_last_modified TEXT');
+    await dbPool.query('ALTER TABLE item_rarities ADD COLUMN IF NOT EXISTS api_rarity TEXT');
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS item_catalog (
+        item_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        category TEXT,
+        icon TEXT,
+        api_rarity TEXT,
+        info JSONB,
+        first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await dbPool.query(`
+      CREATE TABLE IF NOT EXISTS shared_state (
+        key TEXT PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    isDatabaseReady = true;
+    console.log('✅ PostgreSQL connected and schema ready');
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to initialize PostgreSQL:', error.message);
+    isDatabaseReady = false;
+    return false;
+  }
+}
+
+// Rebuild the in-memory user record from a users table row
+function userFromDatabaseRow(row) {
+  return {
+    ...row.data,
+    platform: row.platform,
+    app_version: row.app_version || 'unknown',
+    registered_at: row.registered_at ? new Date(row.registered_at).toISOString() : undefined,
+    updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : undefined
+  };
+}
+
+let usersRefreshedThrough = null; // newest users.updated_at seen, so refreshes only read changed rows
+
+function advanceUsersWatermark(rows) {
+  for (const row of rows) {
+    const updatedAt = new Date(row.updated_at);
+    if (!usersRefreshedThrough || updatedAt > usersRefreshedThrough) usersRefreshedThrough = updatedAt;
+  }
+}
+
+// Load all persisted users into the in-memory users Map
+async function loadUsersFromDatabase() {
+  if (!isDatabaseReady) return 0;
+
+  try {
+    const result = await dbPool.query('SELECT device_token, platform, app_version, data, registered_at, updated_at FROM users');
+    for (const row of result.rows) {
+      users.set(row.device_token, userFromDatabaseRow(row));
+    }
+    advanceUsersWatermark(result.rows);
+    console.log(`📂 Loaded ${result.rows.length} registered users from PostgreSQL`);
+    return result.rows.length;
+  } catch (error) {
+    console.error('❌ Failed to load users from PostgreSQL:', error.message);
+    return 0;
+  }
+}
+
+// Digest state is written by the leader only; full saves (registration, preference updates) keep the stored values
+const DIGEST_STATE_FIELDS = ['notification_digest', 'digest_last_sent_at', 'digest_retry'];
+
+// Upsert a single user from the in-memory Map into PostgreSQL
+async function saveUser(deviceToken) {
+  if (!isDatabaseReady) return false;
+
+  const userData = users.get(deviceToken);
+  if (!userData) return false;
+
+  try {
+    const { platform, app_version, registered_at, updated_at, ...data } = userData;
+    await dbPool.query(
+      `INSERT INTO users (device_token, platform, app_version, data, registered_at, updated_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, NOW()), NOW())
+       ON CONFLICT (device_token) DO UPDATE SET
+         platform = EXCLUDED.platform,
+         app_version = EXCLUDED.app_version,
+         data = (EXCLUDED.data - $6::text[]) || (
+           SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb) FROM jsonb_each(users.data) WHERE key = ANY($6::text[])
+         ),
+         updated_at = NOW()`,
+      [deviceToken, platform || 'ios', app_version || null, JSON.stringify(data), registered_at || null, DIGEST_STATE_FIELDS]
+    );
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to persist user ${deviceToken.substring(0, 10)}...:`, error.message);
+    return false;
+  }
+}
+
+// Merge only the given top-level fields into the stored user, so writes from other instances to other fields survive
+async function saveUserFields(deviceToken, fields) {
+  if (!isDatabaseReady) return false;
+
+  const userData = users.get(deviceToken);
+  if (!userData) return false;
+
+  const values = {};
+  for (const field of fields) {
+    if (userData[field] !== undefined) values[field] = userData[field];
+  }
+
+  try {
+    // Fields unset in memory are removed from the stored row
+    const result = await dbPool.query(
+      'UPDATE users SET data = (data - $2::text[]) || $3::jsonb, updated_at = NOW() WHERE device_token = $1',
+      [deviceToken, fields, JSON.stringify(values)]
+    );
+    if (result.rowCount === 0) return saveUser(deviceToken);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to persist user ${deviceToken.substring(0, 10)}...:`, error.message);
+    return false;
+  }
+}
+
+// MARK: - Notification Deduplication
+
+// Scope used for alerts sent once per instance group rather than per device (Discord, webhooks, TM fan-out)
+const GLOBAL_DEDUP_SCOPE = '*';
+
+// Restock cycle a notification belongs to; categories without a known cadence fall back to their dedup window
+function getDedupCycleKey(category, now = new Date()) {
+  const cycleIndex = getCycleIndex(category, now);
+  if (cycleIndex !== null) return `${category}:${cycleIndex}`;
+  return `${category}:w${Math.floor(now.getTime() / getCategoryDedupWindowMs(category))}`;
+}
+
+// Atomically claim (device, dedup key, cycle); returns false when this or another instance already sent it
+async function claimNotification(deviceToken, dedupKey, cycleKey, ttlMs) {
+  const expiresAt = Date.now() + ttlMs;
+
+  if (isDatabaseReady) {
+    try {
+      const result = await dbPool.query(
+        `INSERT INTO notification_dedup (device_token, dedup_key, cycle_key, expires_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (device_token, dedup_key, cycle_key) DO NOTHING`,
+        [deviceToken, dedupKey, cycleKey, new Date(expiresAt)]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error(`❌ Failed to claim notification ${dedupKey} in PostgreSQL - using memory:`, error.message);
+    }
+  }
+
+  if (!recentNotifications.has(deviceToken)) {
+    recentNotifications.set(deviceToken, new Map());
+  }
+  const userNotifications = recentNotifications.get(deviceToken);
+  const key = `${dedupKey}|${cycleKey}`;
+  if ((userNotifications.get(key) || 0) > Date.now()) return false;
+  userNotifications.set(key, expiresAt);
+  return true;
+}
+
+// Give a claim back so a failed send can be retried on a later update
+async function releaseNotification(deviceToken, dedupKey, cycleKey) {
+  recentNotifications.get(deviceToken)?.delete(`${dedupKey}|${cycleKey}`);
+
+  if (!isDatabaseReady) return;
+
+  try {
+    await dbPool.query(
+      'DELETE FROM notification_dedup WHERE device_token = $1 AND dedup_key = $2 AND cycle_key = $3',
+      [deviceToken, dedupKey, cycleKey]
+    );
+  } catch (error) {
+    console.error(`❌ Failed to release notification ${dedupKey}:`, error.message);
+  }
+}
+
+// Drop expired claims from memory and PostgreSQL
+async function pruneNotificationDedup() {
+  const now = Date.now();
+  for (const [deviceToken, userNotifications] of recentNotifications) {
+    for (const [key, expiresAt] of userNotifications) {
+      if (expiresAt <= now) userNotifications.delete(key);
+    }
+    if (userNotifications.size === 0) recentNotifications.delete(deviceToken);
+  }
+
+  if (!isDatabaseReady) return;
+
+  try {
+    const result = await dbPool.query('DELETE FROM notification_dedup WHERE expires_at < NOW()');
+    if (result.rowCount > 0) {
+      console.log(`🧹 Pruned ${result.rowCount} expired notification dedup entries`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to prune notification dedup entries:', error.message);
+  }
+}
+
+// Forget every claim (testing helper behind /api/clear-notification-cache)
+async function clearNotificationDedup() {
+  recentNotifications.clear();
+
+  if (!isDatabaseReady) return;
+
+  await dbPool.query('DELETE FROM notification_dedup');
+}
+
+// MARK: - Leader Election & Shared State
+
+const LEADER_LOCK_ID = 4247001; // PostgreSQL advisory lock key shared by every instance
+const LEADER_ELECTION_INTERVAL_MS = parseInt(process.env.LEADER_ELECTION_INTERVAL_MS || '15000');
+const LEADER_QUERY_TIMEOUT_MS = 5000; // a hung lock check must not stall elections
+const INSTANCE_ID = process.env.DYNO || `instance-${crypto.randomUUID().slice(0, 8)}`;
+const SHARED_SNAPSHOT_KEY = 'monitoring_snapshot';
+
+let isLeader = false;
+let leaderClient = null; // dedicated connection holding the advisory lock (released when the process dies)
+let monitoringTimers = []; // intervals started while leading
+let lastSharedSnapshotAt = null;
+let isElectionInProgress = false;
+
+// Try to take the advisory lock on a connection we keep checked out
+async function tryAcquireLeadership() {
+  let client = null;
+  try {
+    client = await dbPool.connect();
+    const result = await client.query({
+      text: 'SELECT pg_try_advisory_lock($1) AS acquired',
+      values: [LEADER_LOCK_ID],
+      query_timeout: LEADER_QUERY_TIMEOUT_MS
+    });
+    if (!result.rows[0].acquired) {
+      client.release();
+      return false;
+    }
+
+    client.on('error', (error) => {
+      console.error('❌ Leader connection lost:', error.message);
+      stepDownFromLeadership();
+    });
+    leaderClient = client;
+    return true;
+  } catch (error) {
+    console.error('❌ Leader election query failed:', error.message);
+    if (client) client.release(true);
+    return false;
+  }
+}
+
+function becomeLeader() {
+  isLeader = true;
+  console.log(`👑 ${INSTANCE_ID} is now the leader - starting monitoring`);
+  startStockMonitoring();
+  startEventMonitoring();
+}
+
+function stepDownFromLeadership() {
+  if (!isLeader) return;
+  isLeader = false;
+  monitoringTimers.forEach(timer => clearInterval(timer));
+  monitoringTimers = [];
+  clearTravelingMerchantRetry();
+  if (leaderClient) {
+    leaderClient.release(true); // destroy the connection so the lock is freed
+    leaderClient = null;
+  }
+  console.log(`🪑 ${INSTANCE_ID} stepped down - following the shared snapshot`);
+}
+
+// Upstream polls and notifications only run on the leader; manual triggers on a follower get a 409
+function rejectIfFollower(res) {
+  if (isLeader) return false;
+  res.status(409).json({
+    success: false,
+    error: 'This instance is not the monitoring leader - retry the request (it is routed to another instance)',
+    instance_id: INSTANCE_ID,
+    instance_role: 'follower'
+  });
+  return true;
+}
+
+// One election round: followers try to take over (and sync), the leader checks it still holds the lock
+async function runLeaderElection() {
+  if (isElectionInProgress) return;
+  isElectionInProgress = true;
+
+  try {
+    if (isLeader) {
+      try {
+        await leaderClient.query({ text: 'SELECT 1', query_timeout: LEADER_QUERY_TIMEOUT_MS });
+      } catch (error) {
+        console.error('❌ Leader lock check failed:', error.message);
+        stepDownFromLeadership();
+      }
+    } else if (await tryAcquireLeadership()) {
+      await loadSharedState(); // continue from the last leader's snapshot
+      await loadWebhookSubscriptions();
+      await loadPendingWebhookDeliveries();
+      await migrateStoredFavorites();
+      becomeLeader();
+    } else {
+      await loadSharedState();
+    }
+
+    // Pick up devices registered or removed and rarity edits made through other instances
+    await refreshUsersFromDatabase();
+    await refreshRarityRegistry();
+    if (!isLeader) await loadItemCatalog(); // the leader writes the catalog
+  } finally {
+    isElectionInProgress = false;
+  }
+}
+
+// Start monitoring directly (no database) or join the election loop
+function startLeaderElection() {
+  if (!isDatabaseReady) {
+    console.log('👑 No shared database - this instance runs monitoring');
+    migrateStoredFavorites().catch(error => console.log('❌ Favorites migration error:', error.message));
+    becomeLeader();
+    return;
+  }
+
+  console.log(`🗳️ ${INSTANCE_ID} joining leader election (every ${LEADER_ELECTION_INTERVAL_MS / 1000}s)`);
+  runLeaderElection().catch(error => console.log('❌ Leader election error:', error.message));
+  setInterval(() => {
+    runLeaderElection().catch(error => console.log('❌ Leader election error:', error.message));
+  }, LEADER_ELECTION_INTERVAL_MS);
+}
+
+// Leader: publish the monitored state so followers can serve /api/stock and friends
+async function saveSharedState() {
+  if (!isDatabaseReady || !isLeader) return;
+
+  const snapshot = {
+    leader_instance: INSTANCE_ID,
+    stock_items: Array.from(stockItems.entries()),
+    weather_data: Array.from(weatherData.entries()),
+    current_event: currentEvent,
+    last_stock_update_time: lastStockUpdateTime?.toISOString() || null,
+    last_weather_update_time: lastWeatherUpdateTime?.toISOString() || null,
+    last_event_update_time: lastEventUpdateTime?.toISOString() || null,
+    category_cycle_stats: Array.from(categoryCycleStats.entries()),
+    item_cycle_stats: Array.from(itemCycleStats.entries()),
+    discovered_shop_categories: getShopCategories()
+      .filter(shop => shop.discovered)
+      .map(shop => ({ id: shop.id, upstreamKey: shop.upstreamKey, merchant: shop.merchant, discovered: true }))
+  };
+
+  try {
+    await dbPool.query(
+      `INSERT INTO shared_state (key, value, updated_at) VALUES ($1, $2, NOW())
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+      [SHARED_SNAPSHOT_KEY, JSON.stringify(snapshot)]
+    );
+  } catch (error) {
+    console.error('❌ Failed to publish shared state:', error.message);
+  }
+}
+
+// Follower: replace local monitoring state with the leader's latest snapshot
+async function loadSharedState() {
+  if (!isDatabaseReady) return false;
+
+  try {
+    const result = await dbPool.query('SELECT value, updated_at FROM shared_state WHERE key = $1', [SHARED_SNAPSHOT_KEY]);
+    const row = result.rows[0];
+    if (!row || (lastSharedSnapshotAt && new Date(row.updated_at) <= lastSharedSnapshotAt)) return false;
+
+    const snapshot = row.value;
+    stockItems = new Map(snapshot.stock_items || []);
+    weatherData = new Map(snapshot.weather_data || []);
+    currentEvent = snapshot.current_event || null;
+    lastStockUpdateTime = snapshot.last_stock_update_time ? new Date(snapshot.last_stock_update_time) : null;
+    lastWeatherUpdateTime = snapshot.last_weather_update_time ? new Date(snapshot.last_weather_update_time) : null;
+    lastEventUpdateTime = snapshot.last_event_update_time ? new Date(snapshot.last_event_update_time) : null;
+    categoryCycleStats = new Map(snapshot.category_cycle_stats || []);
+    itemCycleStats = new Map(snapshot.item_cycle_stats || []);
+    const discoveredShops = snapshot.discovered_shop_categories || [];
+    for (const shop of discoveredShops) {
+      if (!getShopCategory(shop.id)) registerShopCategory(shop);
+    }
+    // Follow the leader when it expires a discovered shop
+    for (const shop of getShopCategories()) {
+      if (shop.discovered && !discoveredShops.some(entry => entry.id === shop.id)) shopCategories.delete(shop.id);
+    }
+    lastSharedSnapshotAt = new Date(row.updated_at);
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to load shared state:', error.message);
+    return false;
+  }
+}
+
+// Merge user rows changed since the last refresh and drop users deleted elsewhere
+async function refreshUsersFromDatabase() {
+  if (!isDatabaseReady || isUpdateInProgress) return;
+
+  try {
+    // >= because the watermark is rounded to milliseconds; rows already merged are skipped below
+    const result = usersRefreshedThrough
+      ? await dbPool.query(
+        'SELECT device_token, platform, app_version, data, registered_at, updated_at FROM users WHERE updated_at >= $1',
+        [usersRefreshedThrough]
+      )
+      : await dbPool.query('SELECT device_token, platform, app_version, data, registered_at, updated_at FROM users');
+    for (const row of result.rows) {
+      const existing = users.get(row.device_token);
+      if (existing && new Date(row.updated_at) <= new Date(existing.updated_at || 0)) continue;
+      users.set(row.device_token, userFromDatabaseRow(row));
+    }
+    advanceUsersWatermark(result.rows);
+
+    // Deletions leave no row to read; only list the tokens when the counts disagree
+    const countResult = await dbPool.query('SELECT COUNT(*)::int AS count FROM users');
+    if (countResult.rows[0].count !== users.size) {
+      const tokens = await dbPool.query('SELECT device_token FROM users');
+      const seen = new Set(tokens.rows.map(row => row.device_token));
+      for (const deviceToken of users.keys()) {
+        if (!seen.has(deviceToken)) users.delete(deviceToken);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Failed to refresh users from PostgreSQL:', error.message);
+  }
+}
+
+// MARK: - Stock History
+
+// In-memory history is used when PostgreSQL is not configured (bounded to avoid unbounded growth)
+let stockHistory = []; // [{ item_name, item_id, category, quantity, previous_quantity, rarity, start_date_unix, end_date_unix, observed_at }]
+const STOCK_HISTORY_MEMORY_LIMIT = parseInt(process.env.STOCK_HISTORY_MEMORY_LIMIT || '5000');
+const STOCK_HISTORY_RETENTION_DAYS = parseInt(process.env.STOCK_HISTORY_RETENTION_DAYS || '30'); // PostgreSQL rows; keep >= PREDICTION_HISTORY_DAYS
+
+// Diff two stock snapshots and return one history entry per changed item
+function diffStockSnapshots(previousItems, currentItems, observedAt = new Date()) {
+  const entries = [];
+  const names = new Set([...previousItems.keys(), ...currentItems.keys()]);
+
+  for (const name of names) {
+    const current = currentItems.get(name);
+    const previous = previousItems.get(name);
+    const currentQuantity = current ? (current.quantity || 0) : 0;
+    const previousQuantity = previous ? (previous.quantity || 0) : 0;
+
+    // Nothing to record for items that were and still are out of stock (e.g., always-shown items)
+    if (currentQuantity === 0 && previousQuantity === 0) continue;
+
+    const quantityChanged = currentQuantity !== previousQuantity;
+    // Same quantity but a new shop cycle (start date moved) is still a restock
+    const cycleChanged = !!current && !!previous && current.startDate !== previous.startDate;
+    if (!quantityChanged && !cycleChanged) continue;
+
+    const source = current || previous;
+    entries.push({
+      item_name: name,
+      item_id: source.itemId || null,
+      category: source.category || 'unknown',
+      quantity: currentQuantity,
+      previous_quantity: previousQuantity,
+      rarity: source.rarity || null,
+      start_date_unix: current ? (current.startDate ?? null) : null,
+      end_date_unix: current ? (current.endDate ?? null) : null,
+      observed_at: observedAt.toISOString()
+    });
+  }
+
+  return entries;
+}
+
+// Record stock snapshot diff entries (from diffStockSnapshots)
+async function recordStockHistory(entries) {
+  if (entries.length === 0) return 0;
+
+  if (!isDatabaseReady) {
+    stockHistory.push(...entries);
+    if (stockHistory.length > STOCK_HISTORY_MEMORY_LIMIT) {
+      stockHistory = stockHistory.slice(stockHistory.length - STOCK_HISTORY_MEMORY_LIMIT);
+    }
+    console.log(`📜 Recorded ${entries.length} stock history entries (in memory, ${stockHistory.length} total)`);
+    return entries.length;
+  }
+
+  try {
+    const values = [];
+    const placeholders = entries.map((entry, index) => {
+      const base = index * 9;
+      values.push(
+        entry.item_name, entry.item_id, entry.category, entry.quantity, entry.previous_quantity,
+        entry.rarity, entry.start_date_unix, entry.end_date_unix, entry.observed_at
+      );
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9})`;
+    });
+
+    await dbPool.query(
+      `INSERT INTO stock_history (item_name, item_id, category, quantity, previous_quantity, rarity, start_date_unix, end_date_unix, observed_at)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+    console.log(`📜 Recorded ${entries.length} stock history entries`);
+    return entries.length;
+  } catch (error) {
+    console.error('❌ Failed to record stock history:', error.message);
+    return 0;
+  }
+}
+
+// In-memory entries matching the history filters (newest first)
+function filterStockHistoryInMemory({ item, itemId, category, from, to }) {
+  const itemLower = item ? item.toLowerCase() : null;
+  return stockHistory.filter(entry => {
+    if (itemLower && entry.item_name.toLowerCase() !== itemLower) return false;
+    if (itemId && entry.item_id !== itemId) return false;
+    if (category && entry.category !== category) return false;
+    const observed = new Date(entry.observed_at);
+    if (from && observed < from) return false;
+    if (to && observed > to) return false;
+    return true;
+  }).reverse();
+}
+
+// WHERE clause and values for the history filters
+function buildStockHistoryWhere({ item, itemId, category, from, to }) {
+  const conditions = [];
+  const values = [];
+  if (item) {
+    values.push(item);
+    conditions.push(`LOWER(item_name) = LOWER($${values.length})`);
+  }
+  if (itemId) {
+    values.push(itemId);
+    conditions.push(`item_id = $${values.length}`);
+  }
+  if (category) {
+    values.push(category);
+    conditions.push(`category = $${values.length}`);
+  }
+  if (from) {
+    values.push(from.toISOString());
+    conditions.push(`observed_at >= $${values.length}`);
+  }
+  if (to) {
+    values.push(to.toISOString());
+    conditions.push(`observed_at <= $${values.length}`);
+  }
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', values };
+}
+
+// Query stock history by item, category and time range (newest first)
+async function queryStockHistory({ item, itemId, category, from, to, limit = 100, offset = 0 } = {}) {
+  if (!isDatabaseReady) {
+    const filtered = filterStockHistoryInMemory({ item, itemId, category, from, to });
+    return { total: filtered.length, entries: filtered.slice(offset, offset + limit) };
+  }
+
+  const { where, values } = buildStockHistoryWhere({ item, itemId, category, from, to });
+  const countResult = await dbPool.query(`SELECT COUNT(*)::int AS total FROM stock_history ${where}`, values);
+  const rowsResult = await dbPool.query(
+    `SELECT item_name, item_id, category, quantity, previous_quantity, rarity, start_date_unix, end_date_unix, observed_at
+     FROM stock_history ${where}
+     ORDER BY observed_at DESC, id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+
+  return {
+    total: countResult.rows[0].total,
+    entries: rowsResult.rows.map(row => ({
+      ...row,
+      start_date_unix: row.start_date_unix !== null ? Number(row.start_date_unix) : null,
+      end_date_unix: row.end_date_unix !== null ? Number(row.end_date_unix) : null,
+      observed_at: new Date(row.observed_at).toISOString()
+    }))
+  };
+}
+
+// Last time in stock and restock count (0 -> in stock) across every matching entry, not just one page
+async function summarizeStockHistory(filters) {
+  if (!isDatabaseReady) {
+    const entries = filterStockHistoryInMemory(filters);
+    return {
+      lastSeenInStock: entries.find(entry => entry.quantity > 0)?.observed_at || null,
+      restocks: entries.filter(entry => entry.quantity > 0 && entry.previous_quantity === 0).length
+    };
+  }
+
+  const { where, values } = buildStockHistoryWhere(filters);
+  const result = await dbPool.query(
+    `SELECT MAX(observed_at) FILTER (WHERE quantity > 0) AS last_seen_in_stock,
+            COUNT(*) FILTER (WHERE quantity > 0 AND previous_quantity = 0)::int AS restocks
+     FROM stock_history ${where}`,
+    values
+  );
+  const row = result.rows[0];
+  return {
+    lastSeenInStock: row.last_seen_in_stock ? new Date(row.last_seen_in_stock).toISOString() : null,
+    restocks: row.restocks
+  };
+}
+
+// Delete history rows older than the retention window
+async function pruneStockHistory() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const result = await dbPool.query(
+      `DELETE FROM stock_history WHERE observed_at < NOW() - ($1::int * INTERVAL '1 day')`,
+      [STOCK_HISTORY_RETENTION_DAYS]
+    );
+    const cycleResult = await dbPool.query(
+      `DELETE FROM prediction_cycles WHERE observed_at < NOW() - ($1::int * INTERVAL '1 day')`,
+      [STOCK_HISTORY_RETENTION_DAYS]
+    );
+    if (result.rowCount > 0 || cycleResult.rowCount > 0) {
+      console.log(`🧹 Pruned ${result.rowCount} stock history entries and ${cycleResult.rowCount} cycle markers older than ${STOCK_HISTORY_RETENTION_DAYS} days`);
+    }
+  } catch (error) {
+    console.log('❌ Error pruning stock history:', error.message);
+  }
+}
+
+// Parse a query-string time as ISO date or unix seconds
+function parseHistoryTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = /^\d+$/.test(String(value)) ? new Date(parseInt(value) * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Remove a user from memory and PostgreSQL (e.g., invalid device token cleanup)
+async function removeUser(deviceToken) {
+  users.delete(deviceToken);
+
+  if (!isDatabaseReady) return;
+
+  try {
+    await dbPool.query('DELETE FROM users WHERE device_token = $1', [deviceToken]);
+  } catch (error) {
+    console.error(`❌ Failed to delete user ${deviceToken.substring(0, 10)}... from PostgreSQL:`, error.message);
+  }
+}
+
+// MARK: - Restock Prediction
+
+// Prior per-cycle appearance rate by rarity, used until enough cycles are observed
+const RARITY_PRIOR_APPEARANCE_RATE = {
+  'Common': 0.95,
+  'Uncommon': 0.7,
+  'Rare': 0.4,
+  'Legendary': 0.2,
+  'Mythical': 0.1,
+  'Divine': 0.05,
+  'Prismatic': 0.02
+};
+const PREDICTION_PRIOR_WEIGHT = 4; // prior counts as this many observed cycles
+const PREDICTION_DEFAULT_CYCLES = parseInt(process.env.PREDICTION_DEFAULT_CYCLES || '12');
+const PREDICTION_MAX_CYCLES = 288;
+const PREDICTION_HISTORY_DAYS = parseInt(process.env.PREDICTION_HISTORY_DAYS || '7');
+
+// Observation counters
+let categoryCycleStats = new Map(); // category -> { observedCycles, lastCycle }
+let itemCycleStats = new Map(); // item_name -> { itemId, category, rarity, appearances, lastAppearanceCycle, lastSeenInStockAt }
+
+// Length of one shop cycle in seconds
+function getCycleLengthSeconds(category) {
+  const cycle = getShopCategory(category)?.cycle;
+  if (!cycle) return null;
+  return cycle.type === 'hours' ? cycle.interval * 3600 : cycle.interval * 60;
+}
+
+// Index of the shop cycle a given time falls into (cycles are aligned to UTC midnight)
+function getCycleIndex(category, date) {
+  const lengthSec = getCycleLengthSeconds(category);
+  if (!lengthSec) return null;
+  let seconds = Math.floor(date.getTime() / 1000);
+  const offsetEnv = getShopCategory(category).cycleOffsetEnv;
+  if (offsetEnv) {
+    seconds -= parseInt(process.env[offsetEnv] || '0') * 60;
+  }
+  return Math.floor(seconds / lengthSec);
+}
+
+// Count one observation of an item/category in a cycle (idempotent per cycle); true when the category's cycle is new
+function observeCycle(category, cycleIndex, item, observedAt) {
+  const categoryStats = categoryCycleStats.get(category) || { observedCycles: 0, lastCycle: null };
+  const isNewCycle = categoryStats.lastCycle === null || cycleIndex > categoryStats.lastCycle;
+  if (isNewCycle) {
+    categoryStats.observedCycles++;
+    categoryStats.lastCycle = cycleIndex;
+  }
+  categoryCycleStats.set(category, categoryStats);
+
+  if (!item) return isNewCycle;
+
+  const stats = itemCycleStats.get(item.name) || {
+    itemId: item.itemId || null,
+    category,
+    rarity: item.rarity || null,
+    appearances: 0,
+    lastAppearanceCycle: null,
+    lastSeenInStockAt: null
+  };
+  stats.itemId = item.itemId || stats.itemId;
+  stats.rarity = item.rarity || stats.rarity;
+  if (stats.lastAppearanceCycle === null || item.cycleIndex > stats.lastAppearanceCycle) {
+    stats.appearances++;
+    stats.lastAppearanceCycle = item.cycleIndex;
+  }
+  stats.lastSeenInStockAt = observedAt.toISOString();
+  itemCycleStats.set(item.name, stats);
+  return isNewCycle;
+}
+
+// Store cycle markers ([{ category, cycleIndex, observedAt }]) so a restart counts only cycles that were observed
+function persistPredictionCycles(markers) {
+  if (!isDatabaseReady || markers.length === 0) return;
+
+  const rows = markers.map(marker => ({ category: marker.category, cycle_index: marker.cycleIndex, observed_at: marker.observedAt }));
+  dbPool.query(
+    `INSERT INTO prediction_cycles (category, cycle_index, observed_at)
+     SELECT category, cycle_index, observed_at
+     FROM jsonb_to_recordset($1::jsonb) AS x(category TEXT, cycle_index BIGINT, observed_at TIMESTAMPTZ)
+     ON CONFLICT (category, cycle_index) DO NOTHING`,
+    [JSON.stringify(rows)]
+  ).catch(error => {
+    console.error('❌ Failed to persist prediction cycles:', error.message);
+  });
+}
+
+// Record which items were in stock for the current cycle of each shop
+function recordCycleObservations(currentItems, observedAt = new Date()) {
+  const newCycles = [];
+  for (const shop of getShopCategories()) {
+    if (!shop.cycle) continue;
+    const cycleIndex = getCycleIndex(shop.id, observedAt);
+    if (observeCycle(shop.id, cycleIndex, null, observedAt)) {
+      newCycles.push({ category: shop.id, cycleIndex, observedAt: observedAt.toISOString() });
+    }
+  }
+  persistPredictionCycles(newCycles);
+
+  for (const [name, data] of currentItems) {
+    if (!getCycleLengthSeconds(data.category) || !(data.quantity > 0)) continue;
+    // Attribute the item to the cycle it was stocked in, so lagging API data is not counted twice
+    const stockedAt = typeof data.startDate === 'number' ? new Date(data.startDate * 1000) : observedAt;
+    observeCycle(data.category, getCycleIndex(data.category, observedAt), {
+      name,
+      itemId: data.itemId,
+      rarity: data.rarity,
+      cycleIndex: getCycleIndex(data.category, stockedAt)
+    }, observedAt);
+  }
+}
+
+// Rebuild cycle counters from recorded stock history after a restart
+async function loadPredictionStatsFromHistory() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const result = await dbPool.query(
+      `SELECT item_name, item_id, category, rarity, quantity, start_date_unix, observed_at
+       FROM stock_history
+       WHERE observed_at > NOW() - ($1::int * INTERVAL '1 day')
+       ORDER BY observed_at ASC, id ASC`,
+      [PREDICTION_HISTORY_DAYS]
+    );
+
+    const historyCycles = new Map(); // category -> cycle indexes with history rows, for categories without markers
+    for (const row of result.rows) {
+      if (!getCycleLengthSeconds(row.category)) continue;
+      const observedAt = new Date(row.observed_at);
+      const cycleIndex = getCycleIndex(row.category, observedAt);
+      if (!historyCycles.has(row.category)) historyCycles.set(row.category, new Map());
+      historyCycles.get(row.category).set(cycleIndex, observedAt.toISOString());
+      const stockedAt = row.start_date_unix !== null ? new Date(Number(row.start_date_unix) * 1000) : observedAt;
+      observeCycle(row.category, cycleIndex, row.quantity > 0 ? {
+        name: row.item_name,
+        itemId: row.item_id,
+        rarity: row.rarity,
+        cycleIndex: getCycleIndex(row.category, stockedAt)
+      } : null, observedAt);
+    }
+
+    // History only stores changes, so cycle counts come from the markers written for every observed cycle
+    // (downtime adds none); categories recorded before the markers existed start from the cycles with history rows
+    const cycleResult = await dbPool.query(
+      `SELECT category, COUNT(*)::int AS cycles, MAX(cycle_index) AS last_cycle
+       FROM prediction_cycles
+       WHERE observed_at > NOW() - ($1::int * INTERVAL '1 day')
+       GROUP BY category`,
+      [PREDICTION_HISTORY_DAYS]
+    );
+    const markedCategories = new Set();
+    for (const row of cycleResult.rows) {
+      markedCategories.add(row.category);
+      categoryCycleStats.set(row.category, { observedCycles: row.cycles, lastCycle: Number(row.last_cycle) });
+    }
+    for (const [category, cycles] of historyCycles) {
+      if (markedCategories.has(category)) continue;
+      persistPredictionCycles(Array.from(cycles, ([cycleIndex, observedAt]) => ({ category, cycleIndex, observedAt })));
+    }
+
+    console.log(`🔮 Prediction stats rebuilt from ${result.rows.length} history entries and ${cycleResult.rows.reduce((sum, row) => sum + row.cycles, 0)} cycle markers (${itemCycleStats.size} items)`);
+  } catch (error) {
+    console.error('❌ Failed to rebuild prediction stats from history:', error.message);
+  }
+}
+
+// Start times of the next N shop cycles for a category
+function getUpcomingCycleTimes(category, cycles, now = new Date()) {
+  const lengthSec = getCycleLengthSeconds(category);
+  let first;
+  if (category === 'traveling_merchant') {
+    first = calculateNextTravelingMerchantWindow(now).next_window_utc;
+  } else {
+    const { cycle } = getShopCategory(category);
+    first = calculateOptimizedCountdown(now, cycle.interval, cycle.type).nextRestockUTC;
+  }
+  if (!first) return [];
+
+  const firstMs = new Date(first).getTime();
+  return Array.from({ length: cycles }, (_, index) => new Date(firstMs + index * lengthSec * 1000).toISOString());
+}
+
+// Estimate the probability an item appears in each of the next N cycles
+function buildItemPrediction(itemName, cycles = PREDICTION_DEFAULT_CYCLES, options = {}) {
+  const stats = itemCycleStats.get(itemName);
+  const stockData = stockItems.get(itemName);
+  const category = stats?.category || stockData?.category;
+  if (!category || !getCycleLengthSeconds(category)) return null;
+
+  const rarity = stats?.rarity || stockData?.rarity || getItemRarity(itemName);
+  const priorRate = RARITY_PRIOR_APPEARANCE_RATE[rarity] ?? RARITY_PRIOR_APPEARANCE_RATE['Rare'];
+  const observedCycles = categoryCycleStats.get(category)?.observedCycles || 0;
+  const appearances = Math.min(stats?.appearances || 0, observedCycles);
+
+  // Beta-smoothed per-cycle appearance rate: converges to the observed rate as cycles accumulate
+  const perCycle = (appearances + priorRate * PREDICTION_PRIOR_WEIGHT) / (observedCycles + PREDICTION_PRIOR_WEIGHT);
+  const withinCycles = 1 - Math.pow(1 - perCycle, cycles);
+  const confidence = observedCycles >= 100 ? 'high' : observedCycles >= 12 ? 'medium' : 'low';
+
+  const prediction = {
+    cycles,
+    cycle_length_seconds: getCycleLengthSeconds(category),
+    next_cycle_probability: Math.round(perCycle * 1000) / 1000,
+    probability_within_cycles: Math.round(withinCycles * 1000) / 1000,
+    expected_cycles_until_restock: perCycle > 0 ? Math.round((1 / perCycle) * 10) / 10 : null,
+    observed_cycles: observedCycles,
+    observed_appearances: appearances,
+    last_seen_in_stock: stats?.lastSeenInStockAt || null,
+    confidence
+  };
+
+  if (options.includeCycles) {
+    const cycleTimes = getUpcomingCycleTimes(category, cycles);
+    prediction.by_cycle = cycleTimes.map((startsAt, index) => ({
+      cycle: index + 1,
+      starts_at_utc: startsAt,
+      cumulative_probability: Math.round((1 - Math.pow(1 - perCycle, index + 1)) * 1000) / 1000
+    }));
+  }
+
+  return prediction;
+}
+
+// Resolve an item by item_id or display name (case-insensitive)
+function findPredictableItemName(id) {
+  const needle = String(id || '').toLowerCase();
+  for (const [name, data] of stockItems) {
+    if ((data.itemId && data.itemId.toLowerCase() === needle) || name.toLowerCase() === needle) return name;
+  }
+  for (const [name, stats] of itemCycleStats) {
+    if ((stats.itemId && stats.itemId.toLowerCase() === needle) || name.toLowerCase() === needle) return name;
+  }
+  return null;
+}
+
+// MARK: - Rarity Registry
+
+// Item rarity, resolved in this order:
+//   1. overrides: admin API edits and RARITY_FIX imports, by item_id (or item name when the id is unknown)
+//   2. rarity from the upstream item info API
+//   3. rarity learned from earlier API responses
+//   4. the built-in defaults below
+// Overrides and learned rarities are kept in the item_rarities table; every override change lands in item_rarity_audit.
+const ITEM_RARITIES = ['Common', 'Uncommon', 'Rare', 'Legendary', 'Mythical', 'Divine', 'Prismatic'];
+const RARITY_OVERRIDE_SOURCES = ['admin', 'env'];
+const RARITY_AUDIT_MEMORY_LIMIT = 500;
+
+const DEFAULT_ITEM_RARITIES = {
+  // 🌱 Common - NO notifications (always restocks)
+  'Common': ['Carrot', 'Strawberry', 'Watering Can', 'Cleaning Spray', 'Trowel'],
+  // 🌿 Uncommon
+  'Uncommon': ['Blueberry', 'Orange Tulip', 'Recall Wrench'],
+  // 🌸 Rare
+  'Rare': ['Tomato', 'Daffodil', 'Basic Sprinkler'],
+  // 🌟 Legendary
+  'Legendary': ['Watermelon', 'Pumpkin', 'Apple', 'Bamboo', 'Advanced Sprinkler'],
+  // 🔥 Mythical
+  'Mythical': ['Coconut', 'Cactus', 'Dragon Fruit', 'Mango', 'Godly Sprinkler', 'Magnifying Glass', 'Tanning Mirror'],
+  // ✨ Divine
+  'Divine': ['Grape', 'Mushroom', 'Pepper', 'Cacao', 'Master Sprinkler', 'Favorite Tool', 'Harvest Tool', 'Friendship Pot'],
+  // 🌈 Prismatic
+  'Prismatic': ['Beanstalk', 'Ember Lily', 'Sugar Apple', 'Burning Bud']
+};
+const defaultRarityByName = new Map(
+  Object.entries(DEFAULT_ITEM_RARITIES).flatMap(([rarity, names]) => names.map(name => [name.toLowerCase(), rarity]))
+);
+
+// apiRarity is the learned API rarity kept under an override, restored when the override is removed
+let rarityRegistry = new Map(); // item_id -> { itemId, itemName, rarity, source: 'admin' | 'env' | 'api', apiRarity, updatedBy, updatedAt }
+let rarityNameIndex = new Map(); // lowercase item name -> registry entries with that name, for name-only lookups
+let rarityRegistrySignature = null; // see getRarityRegistrySignature
+let rarityAuditLog = []; // newest first; only used without PostgreSQL
+
+// "mythical" -> "Mythical"; null for anything that is not a known tier
+function normalizeRarity(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  const normalized = trimmed.charAt(0).toUpperCase() + trimmed.slice(1).toLowerCase();
+  return ITEM_RARITIES.includes(normalized) ? normalized : null;
+}
+
+function indexRarityEntryName(entry) {
+  if (!entry.itemName) return;
+  const key = entry.itemName.toLowerCase();
+  rarityNameIndex.set(key, [...(rarityNameIndex.get(key) || []), entry]);
+}
+
+function unindexRarityEntryName(entry) {
+  if (!entry.itemName) return;
+  const key = entry.itemName.toLowerCase();
+  const remaining = (rarityNameIndex.get(key) || []).filter(indexed => indexed !== entry);
+  if (remaining.length > 0) rarityNameIndex.set(key, remaining);
+  else rarityNameIndex.delete(key);
+}
+
+// All registry writes go through these two so the name index stays in sync
+function setRarityEntry(entry) {
+  const previous = rarityRegistry.get(entry.itemId);
+  if (previous) unindexRarityEntryName(previous);
+  rarityRegistry.set(entry.itemId, entry);
+  indexRarityEntryName(entry);
+}
+
+function deleteRarityEntry(itemId) {
+  const previous = rarityRegistry.get(itemId);
+  if (previous) unindexRarityEntryName(previous);
+  rarityRegistry.delete(itemId);
+}
+
+// Registry entry for an item by id, else by name (case-insensitive), limited to the given sources
+function findRarityEntry(itemId, itemName, sources) {
+  const byId = itemId ? rarityRegistry.get(itemId) : null;
+  if (byId) return sources.includes(byId.source) ? byId : null;
+  if (!itemName) return null;
+  return (rarityNameIndex.get(itemName.toLowerCase()) || []).find(entry => sources.includes(entry.source)) || null;
+}
+
+function getRarityOverride(itemId, itemName) {
+  return findRarityEntry(itemId, itemName, RARITY_OVERRIDE_SOURCES)?.rarity || null;
+}
+
+// RARITY_FIX only names item IDs; stock processing fills in the display name once, so name-only lookups
+// (alerts) see the override too
+function recordRarityItemName(itemId, itemName) {
+  const entry = itemId ? rarityRegistry.get(itemId) : null;
+  if (!entry || entry.itemName || !itemName) return;
+
+  entry.itemName = itemName;
+  indexRarityEntryName(entry);
+  persistRarityEntry(entry).catch(error => {
+    console.error(`❌ Failed to persist rarity item name for ${entry.itemId}:`, error.message);
+  });
+}
+
+// { rarity, source: 'override' | 'api' | 'learned' | 'default' | null }
+function resolveItemRarity({ itemId, itemName, apiRarity }) {
+  const override = getRarityOverride(itemId, itemName);
+  if (override) return { rarity: override, source: 'override' };
+  if (apiRarity) return { rarity: apiRarity, source: 'api' };
+  const learned = findRarityEntry(itemId, itemName, ['api']);
+  if (learned) return { rarity: learned.rarity, source: 'learned' };
+  const fallback = itemName ? defaultRarityByName.get(itemName.toLowerCase()) : null;
+  if (fallback) return { rarity: fallback, source: 'default' };
+  return { rarity: null, source: null };
+}
+
+// Rarity by item name (used wherever only a name is at hand)
+function getItemRarity(itemName) {
+  const { rarity } = resolveItemRarity({ itemName });
+  if (rarity) return rarity;
+  
+  // 🆕 NEW: Log unknown items for future classification
+  console.log(`⚠️ UNKNOWN ITEM RARITY: '${itemName}' - defaulting to Rare (will send notifications)`);
+  console.log(`💡 Consider setting it with PUT /api/admin/rarities/:itemId`);
+  
+  return 'Rare'; // Default to Rare for new items so they get notifications
+}
+
+async function loadRarityRegistry() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const result = await dbPool.query('SELECT item_id, item_name, rarity, source, api_rarity, updated_by, updated_at FROM item_rarities');
+    rarityRegistrySignature = getRarityRegistrySignature(result.rows.length, result.rows.map(row => row.updated_at));
+    rarityRegistry = new Map(result.rows.map(row => [row.item_id, {
+      itemId: row.item_id,
+      itemName: row.item_name,
+      rarity: row.rarity,
+      source: row.source,
+      apiRarity: row.api_rarity,
+      updatedBy: row.updated_by,
+      updatedAt: new Date(row.updated_at).toISOString()
+    }]));
+    rarityNameIndex = new Map();
+    rarityRegistry.forEach(indexRarityEntryName);
+    // Overrides changed by another instance apply to the current stock right away
+    applyRarityToStock();
+  } catch (error) {
+    console.error('❌ Failed to load rarity registry:', error.message);
+  }
+}
+
+// Row count + newest updated_at: changes whenever an entry is added, edited or deleted
+function getRarityRegistrySignature(count, updatedAts) {
+  const newest = updatedAts.reduce((max, updatedAt) => Math.max(max, new Date(updatedAt).getTime()), 0);
+  return `${count}:${newest}`;
+}
+
+// Election-round refresh: reload the registry only when another instance changed it
+async function refreshRarityRegistry() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const result = await dbPool.query('SELECT COUNT(*)::int AS count, MAX(updated_at) AS newest FROM item_rarities');
+    const { count, newest } = result.rows[0];
+    if (getRarityRegistrySignature(count, newest ? [newest] : []) === rarityRegistrySignature) return;
+  } catch (error) {
+    console.error('❌ Failed to check rarity registry:', error.message);
+    return;
+  }
+  await loadRarityRegistry();
+}
+
+async function persistRarityEntry(entry) {
+  if (!isDatabaseReady) return;
+
+  await dbPool.query(
+    `INSERT INTO item_rarities (item_id, item_name, rarity, source, api_rarity, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (item_id) DO UPDATE SET
+       item_name = EXCLUDED.item_name, rarity = EXCLUDED.rarity, source = EXCLUDED.source,
+       api_rarity = EXCLUDED.api_rarity, updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at`,
+    [entry.itemId, entry.itemName, entry.rarity, entry.source, entry.apiRarity || null, entry.updatedBy, entry.updatedAt]
+  );
+}
+
+async function recordRarityAudit(auditEntry) {
+  const record = { ...auditEntry, createdAt: new Date().toISOString() };
+  if (!isDatabaseReady) {
+    rarityAuditLog.unshift(record);
+    rarityAuditLog = rarityAuditLog.slice(0, RARITY_AUDIT_MEMORY_LIMIT);
+    return;
+  }
+
+  try {
+    await dbPool.query(
+      `INSERT INTO item_rarity_audit (item_id, action, old_rarity, new_rarity, actor, note)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [record.itemId, record.action, record.oldRarity, record.newRarity, record.actor, record.note]
+    );
+  } catch (error) {
+    console.error(`❌ Failed to write rarity audit for ${record.itemId}:`, error.message);
+  }
+}
+
+async function getRarityAudit({ itemId = null, limit = 50 } = {}) {
+  if (!isDatabaseReady) {
+    return rarityAuditLog.filter(record => !itemId || record.itemId === itemId).slice(0, limit);
+  }
+
+  const result = await dbPool.query(
+    `SELECT item_id, action, old_rarity, new_rarity, actor, note, created_at
+     FROM item_rarity_audit
+     WHERE ($1::text IS NULL OR item_id = $1)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [itemId, limit]
+  );
+  return result.rows.map(row => ({
+    itemId: row.item_id,
+    action: row.action,
+    oldRarity: row.old_rarity,
+    newRarity: row.new_rarity,
+    actor: row.actor,
+    note: row.note,
+    createdAt: new Date(row.created_at).toISOString()
+  }));
+}
+
+// Re-resolve rarity for stocked items after an override changes (every item when called without arguments),
+// so alerts use it right away
+function applyRarityToStock(itemId = null, itemName = null) {
+  for (const [name, data] of stockItems) {
+    if (itemId && data.itemId !== itemId && name.toLowerCase() !== String(itemName || '').toLowerCase()) continue;
+    const apiRarity = data.itemId ? itemInfoCache.get(data.itemId)?.data?.rarity : null;
+    data.rarity = resolveItemRarity({ itemId: data.itemId, itemName: name, apiRarity }).rarity || getItemRarity(name);
+  }
+}
+
+// Create or update an override; returns { entry, changed }
+async function setRarityOverride(itemId, { rarity, itemName, source = 'admin', actor = 'admin', note = null }) {
+  const existing = rarityRegistry.get(itemId);
+  const isOverride = existing && RARITY_OVERRIDE_SOURCES.includes(existing.source);
+  const resolvedName = itemName || existing?.itemName || findCatalogEntry(itemId)?.name || null;
+  if (isOverride && existing.rarity === rarity && existing.source === source && existing.itemName === resolvedName) {
+    return { entry: existing, changed: false };
+  }
+
+  const apiRarity = existing?.source === 'api' ? existing.rarity : existing?.apiRarity || null;
+  const entry = { itemId, itemName: resolvedName, rarity, source, apiRarity, updatedBy: actor, updatedAt: new Date().toISOString() };
+  await persistRarityEntry(entry);
+  setRarityEntry(entry);
+  await recordRarityAudit({
+    itemId,
+    action: isOverride ? 'update' : 'create',
+    oldRarity: isOverride ? existing.rarity : null,
+    newRarity: rarity,
+    actor,
+    note
+  });
+  applyRarityToStock(itemId, entry.itemName);
+  console.log(`🔧 Rarity override ${isOverride ? 'updated' : 'created'} for ${itemId}: ${rarity} (by ${actor})`);
+  return { entry, changed: true };
+}
+
+// Remove an override; the learned API rarity it replaced is restored, otherwise the item falls back to the default
+async function removeRarityOverride(itemId, { actor = 'admin', note = null } = {}) {
+  const existing = rarityRegistry.get(itemId);
+  if (!existing || !RARITY_OVERRIDE_SOURCES.includes(existing.source)) return null;
+
+  // The leader learns API rarities, so read the stored one rather than this instance's copy
+  let apiRarity = existing.apiRarity;
+  if (isDatabaseReady) {
+    const result = await dbPool.query('SELECT api_rarity FROM item_rarities WHERE item_id = $1', [itemId]);
+    apiRarity = result.rows[0]?.api_rarity || apiRarity;
+  }
+
+  if (apiRarity) {
+    const learned = { itemId, itemName: existing.itemName, rarity: apiRarity, source: 'api', updatedBy: 'api', updatedAt: new Date().toISOString() };
+    await persistRarityEntry(learned);
+    setRarityEntry(learned);
+  } else {
+    if (isDatabaseReady) {
+      await dbPool.query('DELETE FROM item_rarities WHERE item_id = $1', [itemId]);
+    }
+    deleteRarityEntry(itemId);
+  }
+  await recordRarityAudit({ itemId, action: 'delete', oldRarity: existing.rarity, newRarity: null, actor, note });
+  applyRarityToStock(itemId, existing.itemName);
+  console.log(`🗑️ Rarity override removed for ${itemId} (by ${actor})`);
+  return existing;
+}
+
+// Keep the latest API rarity per item (not audited; under an override it is stored aside as apiRarity)
+function learnApiRarity(itemId, itemName, apiRarity) {
+  const rarity = normalizeRarity(apiRarity);
+  if (!itemId || !rarity) return;
+
+  const existing = rarityRegistry.get(itemId);
+  const isOverride = existing && existing.source !== 'api';
+  if (isOverride ? existing.apiRarity === rarity : existing && existing.rarity === rarity && existing.itemName === (itemName || existing.itemName)) return;
+
+  const entry = isOverride
+    ? { ...existing, apiRarity: rarity }
+    : { itemId, itemName: itemName || existing?.itemName || null, rarity, source: 'api', updatedBy: 'api', updatedAt: new Date().toISOString() };
+  setRarityEntry(entry);
+  persistRarityEntry(entry).catch(error => {
+    console.error(`❌ Failed to persist learned rarity for ${itemId}:`, error.message);
+  });
+}
+
+// RARITY_FIX=item_id=rarity,... is imported once at startup; admin edits made through the API win over it.
+// Env overrides whose item is no longer listed are removed (an invalid entry still keeps its item's override).
+async function importRarityFixesFromEnv() {
+  const fixes = (process.env.RARITY_FIX || '').split(',').map(fix => fix.trim()).filter(fix => fix);
+  const listedItemIds = new Set();
+
+  for (const fix of fixes) {
+    const [itemId, rawRarity] = fix.split('=').map(part => part.trim());
+    if (itemId) listedItemIds.add(itemId);
+    const rarity = normalizeRarity(rawRarity);
+    if (!itemId || !rarity) {
+      console.log(`⚠️ Ignoring invalid RARITY_FIX entry: ${fix}`);
+      continue;
+    }
+
+    const existing = rarityRegistry.get(itemId);
+    if (existing?.source === 'admin') {
+      if (existing.rarity !== rarity) {
+        console.log(`⚠️ RARITY_FIX ${itemId}=${rarity} ignored - admin override ${existing.rarity} takes priority`);
+      }
+      continue;
+    }
+
+    try {
+      await setRarityOverride(itemId, { rarity, source: 'env', actor: 'RARITY_FIX', note: 'imported from RARITY_FIX' });
+    } catch (error) {
+      console.error(`❌ Failed to import RARITY_FIX entry ${itemId}:`, error.message);
+    }
+  }
+
+  const staleEntries = Array.from(rarityRegistry.values())
+    .filter(entry => entry.source === 'env' && !listedItemIds.has(entry.itemId));
+  for (const entry of staleEntries) {
+    try {
+      await removeRarityOverride(entry.itemId, { actor: 'RARITY_FIX', note: 'no longer in RARITY_FIX' });
+    } catch (error) {
+      console.error(`❌ Failed to remove stale RARITY_FIX override ${entry.itemId}:`, error.message);
+    }
+  }
+}
+
+function serializeRarityEntry(entry) {
+  return {
+    item_id: entry.itemId,
+    item_name: entry.itemName,
+    rarity: entry.rarity,
+    source: entry.source,
+    api_rarity: entry.apiRarity || null,
+    updated_by: entry.updatedBy,
+    updated_at: entry.updatedAt
+  };
+}
+
+function serializeRarityAudit(record) {
+  return {
+    item_id: record.itemId,
+    action: record.action,
+    old_rarity: record.oldRarity,
+    new_rarity: record.newRarity,
+    actor: record.actor,
+    note: record.note,
+    created_at: record.createdAt
+  };
+}
+
+// MARK: - Item Catalog
+
+// Every item the server has ever seen, from observed stock (including always-shown items) and item info lookups.
+// Powers /api/items so users can favorite items that are not in stock right now.
+const ITEM_CATALOG_DEFAULT_PAGE_SIZE = 50;
+const ITEM_CATALOG_MAX_PAGE_SIZE = 200;
+
+let itemCatalog = new Map(); // item_id -> { itemId, name, category, icon, apiRarity, info, firstSeenAt, lastSeenAt }
+
+function toCatalogItemId(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Merge fields into a catalog entry; returns the entry when anything changed, else null
+function upsertCatalogEntry(itemId, fields) {
+  const now = new Date().toISOString();
+  const existing = itemCatalog.get(itemId);
+  const entry = existing || { itemId, name: fields.name, category: null, icon: null, apiRarity: null, info: null, firstSeenAt: now, lastSeenAt: null };
+  let changed = !existing;
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null || entry[key] === value) continue;
+    entry[key] = value;
+    changed = true;
+  }
+
+  itemCatalog.set(itemId, entry);
+  return changed ? entry : null;
+}
+
+// Observed stock: names, categories and icons, plus last_seen for items in stock
+function recordCatalogStock(currentItems, observedAt = new Date()) {
+  const changedEntries = [];
+  for (const [name, data] of currentItems) {
+    const itemId = data.itemId || toCatalogItemId(name);
+    if (!itemId) continue;
+    const changed = upsertCatalogEntry(itemId, {
+      name: data.displayName || name,
+      category: data.category,
+      icon: data.sourceIcon,
+      lastSeenAt: data.quantity > 0 ? observedAt.toISOString() : undefined
+    });
+    if (changed) changedEntries.push(changed);
+  }
+  persistCatalogEntries(changedEntries);
+}
+
+// Item info API responses: display name, icon, API rarity and the raw info
+function recordCatalogItemInfo(itemId, info) {
+  if (!itemId || !info?.display_name) return;
+  const changed = upsertCatalogEntry(itemId, {
+    name: info.display_name,
+    icon: info.icon,
+    apiRarity: info.rarity,
+    info
+  });
+  if (changed) persistCatalogEntries([changed]);
+}
+
+function persistCatalogEntries(entries) {
+  if (!isDatabaseReady || entries.length === 0) return;
+
+  const rows = entries.map(entry => ({
+    item_id: entry.itemId,
+    name: entry.name,
+    category: entry.category,
+    icon: entry.icon,
+    api_rarity: entry.apiRarity,
+    info: entry.info,
+    first_seen_at: entry.firstSeenAt,
+    last_seen_at: entry.lastSeenAt
+  }));
+  dbPool.query(
+    `INSERT INTO item_catalog (item_id, name, category, icon, api_rarity, info, first_seen_at, last_seen_at, updated_at)
+     SELECT item_id, name, category, icon, api_rarity, info, first_seen_at, last_seen_at, NOW()
+     FROM jsonb_to_recordset($1::jsonb) AS x(
+       item_id TEXT, name TEXT, category TEXT, icon TEXT, api_rarity TEXT, info JSONB, first_seen_at TIMESTAMPTZ, last_seen_at TIMESTAMPTZ
+     )
+     ON CONFLICT (item_id) DO UPDATE SET
+       name = EXCLUDED.name,
+       category = COALESCE(EXCLUDED.category, item_catalog.category),
+       icon = COALESCE(EXCLUDED.icon, item_catalog.icon),
+       api_rarity = COALESCE(EXCLUDED.api_rarity, item_catalog.api_rarity),
+       info = COALESCE(EXCLUDED.info, item_catalog.info),
+       first_seen_at = LEAST(item_catalog.first_seen_at, EXCLUDED.first_seen_at),
+       last_seen_at = GREATEST(item_catalog.last_seen_at, EXCLUDED.last_seen_at),
+       updated_at = NOW()`,
+    [JSON.stringify(rows)]
+  ).catch(error => {
+    console.error('❌ Failed to persist item catalog:', error.message);
+  });
+}
+
+async function loadItemCatalog() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const result = await dbPool.query(
+      'SELECT item_id, name, category, icon, api_rarity, info, first_seen_at, last_seen_at FROM item_catalog'
+    );
+    itemCatalog = new Map(result.rows.map(row => [row.item_id, {
+      itemId: row.item_id,
+      name: row.name,
+      category: row.category,
+      icon: row.icon,
+      apiRarity: row.api_rarity,
+      info: row.info,
+      firstSeenAt: new Date(row.first_seen_at).toISOString(),
+      lastSeenAt: row.last_seen_at ? new Date(row.last_seen_at).toISOString() : null
+    }]));
+  } catch (error) {
+    console.error('❌ Failed to load item catalog:', error.message);
+  }
+}
+
+// Catalog entry by item_id, else by name (case-insensitive)
+function findCatalogEntry(id) {
+  if (itemCatalog.has(id)) return itemCatalog.get(id);
+  const needle = String(id || '').toLowerCase();
+  for (const entry of itemCatalog.values()) {
+    if (entry.name.toLowerCase() === needle) return entry;
+  }
+  return null;
+}
+
+function getCatalogEntryRarity(entry) {
+  return resolveItemRarity({ itemId: entry.itemId, itemName: entry.name, apiRarity: entry.apiRarity });
+}
+
+// Search rank: exact name 0, name prefix 1, word prefix 2, substring 3, no match null
+function getCatalogMatchRank(entry, query) {
+  const name = entry.name.toLowerCase();
+  if (name === query || entry.itemId === query) return 0;
+  if (name.startsWith(query) || entry.itemId.startsWith(query)) return 1;
+  if (name.split(/\s+/).some(word => word.startsWith(query))) return 2;
+  if (name.includes(query) || entry.itemId.includes(query)) return 3;
+  return null;
+}
+
+// Registry rarity, else the rarity the item was stocked with
+function getCatalogItemRarity(entry, stockData = stockItems.get(entry.name)) {
+  return getCatalogEntryRarity(entry).rarity || stockData?.rarity || null;
+}
+
+function serializeCatalogEntry(entry, req) {
+  const stockData = stockItems.get(entry.name);
+  return {
+    item_id: entry.itemId,
+    name: entry.name,
+    category: entry.category,
+    rarity: getCatalogItemRarity(entry, stockData),
+    icon: toAbsoluteIconUrl(getIconUrl(entry.itemId), req),
+    in_stock: (stockData?.quantity || 0) > 0,
+    quantity: stockData?.quantity || 0,
+    first_seen_at: entry.firstSeenAt,
+    last_seen_at: entry.lastSeenAt
+  };
+}
+
+// MARK: - Favorite Items
+
+// favorite_items and favorite_item_settings are keyed by item_id, so favorites survive upstream renames and
+// capitalization changes. Older apps send display names; those are resolved through the catalog on registration.
+
+// Stable id of a stocked item (manual stock updates carry no item_id)
+function getStockItemId(itemName, stockData) {
+  return stockData?.itemId || toCatalogItemId(itemName);
+}
+
+// item_id for a favorite entry (an id or a display name, matched case-insensitively), else null
+function resolveFavoriteItemId(favorite) {
+  const catalogEntry = findCatalogEntry(favorite);
+  if (catalogEntry) return catalogEntry.itemId;
+
+  const needle = favorite.toLowerCase();
+  for (const [itemName, stockData] of stockItems) {
+    const itemId = getStockItemId(itemName, stockData);
+    if (itemId === favorite || itemName.toLowerCase() === needle || stockData.displayName?.toLowerCase() === needle) return itemId;
+  }
+  return null;
+}
+
+// Rewrite a user's favorites to item_ids; entries that don't resolve yet are kept as sent and retried next time
+function migrateUserFavorites(userData) {
+  const favoriteItems = userData.favorite_items || [];
+  const favoriteItemSettings = userData.favorite_item_settings || {};
+  const migrated = {}; // display name -> item_id
+  const unresolved = [];
+
+  const itemIds = [];
+  for (const favorite of favoriteItems) {
+    const itemId = resolveFavoriteItemId(favorite);
+    if (!itemId) {
+      unresolved.push(favorite);
+    } else if (itemId !== favorite) {
+      migrated[favorite] = itemId;
+    }
+    if (!itemIds.includes(itemId || favorite)) itemIds.push(itemId || favorite);
+  }
+  const settings = {};
+  for (const [key, value] of Object.entries(favoriteItemSettings)) {
+    settings[resolveFavoriteItemId(key) || key] = value;
+  }
+
+  const changed = JSON.stringify(itemIds) !== JSON.stringify(favoriteItems)
+    || JSON.stringify(settings) !== JSON.stringify(favoriteItemSettings);
+  if (changed) {
+    userData.favorite_items = itemIds;
+    userData.favorite_item_settings = settings;
+  }
+  return { changed, migrated, unresolved };
+}
+
+// Pass over stored users, run by the leader when it takes over and again once the first fresh stock has filled
+// the catalog (followers would race it writing the same rows)
+let hasMigratedFavoritesAfterStock = false;
+
+async function migrateStoredFavorites() {
+  let migratedUsers = 0;
+  for (const [deviceToken, userData] of users) {
+    if (!migrateUserFavorites(userData).changed) continue;
+    migratedUsers++;
+    await saveUserFields(deviceToken, ['favorite_items', 'favorite_item_settings']);
+  }
+  if (migratedUsers > 0) {
+    console.log(`❤️ Migrated favorites to item IDs for ${migratedUsers} users`);
+  }
+}
+
+// item_id and lowercase name -> stock key, so favorites (ids, or names not migrated yet) find their stock entry
+function indexStockItems(items) {
+  const index = new Map();
+  for (const itemName of items.keys()) {
+    index.set(itemName.toLowerCase(), itemName);
+  }
+  for (const [itemName, stockData] of items) {
+    index.set(getStockItemId(itemName, stockData), itemName);
+  }
+  return index;
+}
+
+function findIndexedStockItem(index, favorite) {
+  return index.get(favorite) || index.get(favorite.toLowerCase()) || null;
+}
+
+// MARK: - Upstream Data Sources
+
+// Every source adapter returns payloads in the v2 (api.joshlei.com) shape that processStockData,
+// processWeatherData, processEventData and fetchItemInfo consume:
+//   stock:   { seed_stock, gear_stock, egg_stock, cosmetic_stock: [item], travelingmerchant_stock: { merchantName, stock: [item] } }
+//            (one key per registered shop category, see Shop Categories)
+//            item = { item_id, display_name, quantity, icon, start_date_unix, end_date_unix }
+//   weather: { weather: [{ weather_id, weather_name, active, duration, start_duration_unix, end_duration_unix, icon }] }
+//   event:   { current: { name, icon, start: { hour, minute } } }
+//   info:    { item_id, display_name, rarity, ... }
+const UPSTREAM_USER_AGENT = 'GrowAGarden-StockBot/1.0';
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || '10000');
+const DEFAULT_UPSTREAM_SOURCES = 'joshlei,peer';
+
+// Icons a peer serves from its own mirror may be relative (/api/icons/...); make them absolute so they can be mirrored
+function resolvePeerUrl(url) {
+  if (!url || !process.env.PEER_API_BASE_URL) return url;
+  try {
+    return new URL(url, `${process.env.PEER_API_BASE_URL.replace(/\/$/, '')}/`).href;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Another GrowAGarden server (e.g., a second deployment) exposes processed data; map it back to the v2 shape
+function normalizePeerStock(data) {
+  const normalized = {};
+  for (const shop of getShopCategories()) {
+    normalized[shop.upstreamKey] = shop.merchant ? { stock: [] } : [];
+  }
+  for (const item of data.stock_items || []) {
+    const v2Item = {
+      item_id: item.item_id,
+      display_name: item.display_name || item.name,
+      quantity: item.quantity,
+      icon: resolvePeerUrl(item.icon),
+      start_date_unix: item.start_date,
+      end_date_unix: item.end_date
+    };
+    const shop = getShopCategory(item.category);
+    if (shop?.merchant) {
+      const merchantStock = normalized[shop.upstreamKey];
+      merchantStock.merchantName = merchantStock.merchantName || item.merchant || undefined;
+      merchantStock.stock.push(v2Item);
+    } else if (item.category) {
+      // Shops the peer discovered are named after their upstream key, so unknown ones map back to <category>_stock
+      const key = shop ? shop.upstreamKey : `${item.category}_stock`;
+      (normalized[key] = normalized[key] || []).push(v2Item);
+    }
+  }
+  return normalized;
+}
+
+function normalizePeerWeather(data) {
+  return {
+    weather: (data.weather_events || []).map(weather => ({
+      weather_id: weather.weather_id,
+      weather_name: weather.weather_name,
+      active: weather.active,
+      duration: weather.duration,
+      start_duration_unix: weather.start_duration,
+      end_duration_unix: weather.end_duration,
+      icon: resolvePeerUrl(weather.icon)
+    }))
+  };
+}
+
+function normalizePeerEvent(data) {
+  const event = data.current_event;
+  if (!event) return { current: null };
+  return {
+    current: {
+      name: event.name,
+      icon: resolvePeerUrl(event.icon),
+      start: { hour: event.originalHour || 0, minute: event.originalMinute || 0 }
+    }
+  };
+}
+
+// Source adapters: url builders per supported resource, auth headers, and normalizers to the v2 shape
+const upstreamSources = {
+  joshlei: {
+    label: 'api.joshlei.com v2',
+    isConfigured: () => !!process.env.JSTUDIO_API_KEY,
+    headers: () => ({ 'jstudio-key': process.env.JSTUDIO_API_KEY }),
+    urls: {
+      stock: () => STOCK_API_URL,
+      weather: () => WEATHER_API_URL,
+      event: () => EVENT_API_URL,
+      info: (itemId) => `${ITEM_INFO_API_URL}/${itemId}`
+    },
+    normalize: {} // already v2
+  },
+  peer: {
+    label: 'GrowAGarden server peer',
+    isConfigured: () => !!process.env.PEER_API_BASE_URL,
+    headers: () => (process.env.PEER_API_KEY ? { 'Authorization': `Bearer ${process.env.PEER_API_KEY}` } : {}),
+    urls: {
+      stock: () => `${process.env.PEER_API_BASE_URL.replace(/\/$/, '')}/api/stock`,
+      weather: () => `${process.env.PEER_API_BASE_URL.replace(/\/$/, '')}/api/weather`,
+      event: () => `${process.env.PEER_API_BASE_URL.replace(/\/$/, '')}/api/event`
+    },
+    normalize: {
+      stock: normalizePeerStock,
+      weather: normalizePeerWeather,
+      event: normalizePeerEvent
+    }
+  }
+};
+
+// Per-source outcome tracking for /api/data-freshness
+const upstreamSourceStatus = new Map(); // source -> { last_success_at, last_failure_at, last_error, last_resource }
+let lastStockSource = null;
+let stockFetchFallback = null; // null after a successful fetch, else 'preserved' | 'empty' | 'simulated'
+
+// Priority list from UPSTREAM_SOURCES (e.g., "joshlei,peer")
+function parseUpstreamSourceOrder() {
+  const names = (process.env.UPSTREAM_SOURCES || DEFAULT_UPSTREAM_SOURCES)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(names)].filter(name => {
+    if (upstreamSources[name]) return true;
+    console.log(`⚠️ Unknown upstream source "${name}" in UPSTREAM_SOURCES - ignoring`);
+    return false;
+  });
+}
+
+// Validated once at startup, so an unknown name is reported a single time
+const upstreamSourceOrder = parseUpstreamSourceOrder();
+
+// Configured sources that can serve a resource, in priority order
+function getActiveUpstreamSources(resource) {
+  // While replaying, the sources present in the recording stand in for configured ones (no API keys needed offline)
+  const isAvailable = name => (upstreamReplay ? upstreamReplay.sources.has(name) : upstreamSources[name].isConfigured());
+  return upstreamSourceOrder.filter(name => isAvailable(name) && upstreamSources[name].urls[resource]);
+}
+
+function hasUpstreamSource(resource) {
+  return getActiveUpstreamSources(resource).length > 0;
+}
+
+function recordUpstreamOutcome(sourceName, resource, error) {
+  const status = upstreamSourceStatus.get(sourceName) || { last_success_at: null, last_failure_at: null, last_error: null, last_resource: null };
+  status.last_resource = resource;
+  if (error) {
+    status.last_failure_at = new Date().toISOString();
+    status.last_error = error.message;
+  } else {
+    status.last_success_at = new Date().toISOString();
+  }
+  upstreamSourceStatus.set(sourceName, status);
+}
+
+// Circuit breakers per upstream endpoint (source + resource): closed -> open after repeated failures,
+// open -> half_open after an exponentially growing, jittered cooldown, half_open -> closed on one successful probe
+const UPSTREAM_BREAKER_FAILURE_THRESHOLD = parseInt(process.env.UPSTREAM_BREAKER_FAILURE_THRESHOLD || '3');
+const UPSTREAM_BREAKER_BASE_COOLDOWN_MS = parseInt(process.env.UPSTREAM_BREAKER_BASE_COOLDOWN_MS || '30000');
+const UPSTREAM_BREAKER_MAX_COOLDOWN_MS = parseInt(process.env.UPSTREAM_BREAKER_MAX_COOLDOWN_MS || String(10 * 60 * 1000));
+const UPSTREAM_RETRY_ATTEMPTS = parseInt(process.env.UPSTREAM_RETRY_ATTEMPTS || '2'); // retries after the first try
+const UPSTREAM_RETRY_BASE_DELAY_MS = 500;
+
+const upstreamBreakers = new Map(); // "source:resource" -> breaker
+
+function getUpstreamBreaker(sourceName, resource) {
+  const key = `${sourceName}:${resource}`;
+  if (!upstreamBreakers.has(key)) {
+    upstreamBreakers.set(key, {
+      source: sourceName,
+      resource,
+      state: 'closed',
+      consecutiveFailures: 0,
+      trips: 0,
+      openUntil: null,
+      probeInFlight: false,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null
+    });
+  }
+  return upstreamBreakers.get(key);
+}
+
+// Whether a request may go out now (moves an expired open breaker to half_open and lets one probe through)
+function acquireBreakerPermit(breaker) {
+  if (breaker.state === 'open') {
+    if (Date.now() < breaker.openUntil) return false;
+    breaker.state = 'half_open';
+    console.log(`🟡 Circuit half-open for ${breaker.source}:${breaker.resource} - sending a probe`);
+  }
+  if (breaker.state === 'half_open') {
+    if (breaker.probeInFlight) return false;
+    breaker.probeInFlight = true;
+  }
+  return true;
+}
+
+function recordBreakerSuccess(breaker) {
+  if (breaker.state !== 'closed') {
+    console.log(`🟢 Circuit closed for ${breaker.source}:${breaker.resource}`);
+  }
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.trips = 0;
+  breaker.openUntil = null;
+  breaker.probeInFlight = false;
+  breaker.lastSuccessAt = new Date().toISOString();
+}
+
+function recordBreakerFailure(breaker, error) {
+  breaker.consecutiveFailures++;
+  breaker.probeInFlight = false;
+  breaker.lastError = error.message;
+  breaker.lastFailureAt = new Date().toISOString();
+
+  if (breaker.state === 'half_open' || breaker.consecutiveFailures >= UPSTREAM_BREAKER_FAILURE_THRESHOLD) {
+    breaker.trips++;
+    const cooldown = Math.min(UPSTREAM_BREAKER_BASE_COOLDOWN_MS * 2 ** (breaker.trips - 1), UPSTREAM_BREAKER_MAX_COOLDOWN_MS);
+    const jitteredCooldown = Math.round(cooldown * (0.8 + Math.random() * 0.4)); // ±20% so instances don't retry in lockstep
+    breaker.state = 'open';
+    breaker.openUntil = Date.now() + jitteredCooldown;
+    console.log(`🔴 Circuit open for ${breaker.source}:${breaker.resource} for ${Math.round(jitteredCooldown / 1000)}s (${error.message})`);
+  }
+}
+
+function serializeUpstreamBreaker(breaker) {
+  return {
+    source: breaker.source,
+    resource: breaker.resource,
+    state: breaker.state,
+    consecutive_failures: breaker.consecutiveFailures,
+    trips: breaker.trips,
+    retry_at: breaker.state === 'open' ? new Date(breaker.openUntil).toISOString() : null,
+    last_error: breaker.lastError,
+    last_failure_at: breaker.lastFailureAt,
+    last_success_at: breaker.lastSuccessAt
+  };
+}
+
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx are not
+function isRetryableUpstreamError(error) {
+  if (error.retryable === false) return false;
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Record mode (UPSTREAM_RECORD_DIR): every raw upstream response is appended to a JSONL file
+// Replay mode (UPSTREAM_REPLAY_FILE): the fetch layer serves a recording back instead of calling the network,
+// one response per fetch in recorded order, or on an accelerated clock when UPSTREAM_REPLAY_SPEED is set
+let upstreamRecording = null; // { file, records }
+let upstreamReplay = null; // { file, speed, responses: Map(key -> entries), cursors, sources, firstRecordedAt, startedAt, served }
+
+function getUpstreamReplayKey(sourceName, resource, param) {
+  return resource === 'info' ? `${sourceName}:info:${param}` : `${sourceName}:${resource}`;
+}
+
+function initializeUpstreamRecording() {
+  const dir = process.env.UPSTREAM_RECORD_DIR;
+  if (!dir) return;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (error) {
+    console.error(`❌ Failed to create upstream recording directory ${dir} - recording disabled:`, error.message);
+    return;
+  }
+  const file = path.join(dir, `upstream-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+  upstreamRecording = { file, records: 0 };
+  console.log(`⏺️ Recording upstream responses to ${file}`);
+}
+
+function initializeUpstreamReplay() {
+  const file = process.env.UPSTREAM_REPLAY_FILE;
+  if (!file) return;
+
+  try {
+    const entries = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+
+    const responses = new Map();
+    for (const entry of entries) {
+      const key = getUpstreamReplayKey(entry.source, entry.resource, entry.param);
+      if (!responses.has(key)) responses.set(key, []);
+      responses.get(key).push(entry);
+    }
+
+    upstreamReplay = {
+      file,
+      speed: parseFloat(process.env.UPSTREAM_REPLAY_SPEED || '0'), // 0 = sequential
+      responses,
+      cursors: new Map(),
+      sources: new Set(entries.map(entry => entry.source)),
+      firstRecordedAt: entries.length > 0 ? new Date(entries[0].recorded_at).getTime() : Date.now(),
+      startedAt: Date.now(),
+      served: 0,
+      total: entries.length
+    };
+    console.log(`⏯️ Replaying ${entries.length} upstream responses from ${file} (${upstreamReplay.speed > 0 ? `${upstreamReplay.speed}x` : 'sequential'})`);
+    console.log('⏯️ Replay mode - pushes, Discord posts and webhooks are only logged');
+  } catch (error) {
+    console.error(`❌ Failed to load upstream replay file ${file}:`, error.message);
+  }
+}
+
+function recordUpstreamResponse(sourceName, resource, param, status, body) {
+  if (!upstreamRecording) return;
+
+  const line = JSON.stringify({
+    recorded_at: new Date().toISOString(),
+    source: sourceName,
+    resource,
+    param: param ?? null,
+    status,
+    body
+  });
+  upstreamRecording.records++;
+  fs.promises.appendFile(upstreamRecording.file, `${line}\n`).catch(error => {
+    console.error('❌ Failed to write upstream recording:', error.message);
+  });
+}
+
+// Next recorded response for a request (sequential) or the latest one at the accelerated replay clock
+function takeReplayResponse(sourceName, resource, param) {
+  const key = getUpstreamReplayKey(sourceName, resource, param);
+  const entries = upstreamReplay.responses.get(key) || [];
+
+  let entry = null;
+  if (upstreamReplay.speed > 0) {
+    const replayClock = upstreamReplay.firstRecordedAt + (Date.now() - upstreamReplay.startedAt) * upstreamReplay.speed;
+    entry = entries.filter(candidate => new Date(candidate.recorded_at).getTime() <= replayClock).pop() || entries[0] || null;
+  } else {
+    const cursor = upstreamReplay.cursors.get(key) || 0;
+    // Item info is effectively static, so keep serving its last recording
+    entry = entries[resource === 'info' ? Math.min(cursor, entries.length - 1) : cursor] || null;
+    if (entry) upstreamReplay.cursors.set(key, cursor + 1);
+  }
+
+  if (!entry) {
+    const error = new Error(resource === 'info' ? 'HTTP 404: Not recorded' : `Replay exhausted for ${key}`);
+    error.status = resource === 'info' ? 404 : undefined;
+    error.retryable = false;
+    throw error;
+  }
+
+  upstreamReplay.served++;
+  if (entry.status < 200 || entry.status >= 300) {
+    const error = new Error(`HTTP ${entry.status}: replayed`);
+    error.status = entry.status;
+    throw error;
+  }
+  return entry.body;
+}
+
+function serializeUpstreamReplay() {
+  if (!upstreamReplay) return null;
+  return {
+    mode: upstreamReplay.speed > 0 ? 'accelerated' : 'sequential',
+    speed: upstreamReplay.speed || null,
+    served: upstreamReplay.served,
+    total: upstreamReplay.total
+  };
+}
+
+// One request against one source; errors carry the HTTP status when there is one
+async function requestUpstream(sourceName, resource, param) {
+  const source = upstreamSources[sourceName];
+  const normalize = source.normalize[resource];
+
+  if (upstreamReplay) {
+    const replayed = takeReplayResponse(sourceName, resource, param);
+    return validateUpstreamPayload(sourceName, resource, normalize ? normalize(replayed) : replayed);
+  }
+
+  const response = await fetch(source.urls[resource](param), {
+    headers: {
+      ...source.headers(),
+      'Accept': 'application/json',
+      'User-Agent': UPSTREAM_USER_AGENT
+    },
+    timeout: UPSTREAM_TIMEOUT_MS
+  });
+
+  const text = await response.text();
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch (parseError) {
+    if (response.ok) {
+      recordUpstreamResponse(sourceName, resource, param, response.status, text);
+      throw new Error(`Invalid JSON from ${sourceName} ${resource}: ${parseError.message}`);
+    }
+  }
+  recordUpstreamResponse(sourceName, resource, param, response.status, body);
+
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return validateUpstreamPayload(sourceName, resource, normalize ? normalize(body) : body);
+}
+
+// Retry transient failures with exponential backoff and full jitter
+async function requestUpstreamWithRetry(sourceName, resource, param) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestUpstream(sourceName, resource, param);
+    } catch (error) {
+      if (attempt >= UPSTREAM_RETRY_ATTEMPTS || !isRetryableUpstreamError(error)) throw error;
+      const delayMs = Math.round(Math.random() * UPSTREAM_RETRY_BASE_DELAY_MS * 2 ** attempt);
+      console.log(`🔁 Retrying ${sourceName} ${resource} in ${delayMs}ms (${error.message})`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+// Fetch a resource from the first source that answers, failing over down the priority list
+async function fetchFromUpstream(resource, param) {
+  const sources = getActiveUpstreamSources(resource);
+  if (sources.length === 0) {
+    throw new Error(`No upstream source configured for ${resource}`);
+  }
+
+  const failures = [];
+  for (const sourceName of sources) {
+    const breaker = getUpstreamBreaker(sourceName, resource);
+    if (!acquireBreakerPermit(breaker)) {
+      failures.push(`${sourceName}: circuit ${breaker.state}`);
+      continue;
+    }
+
+    try {
+      const data = await requestUpstreamWithRetry(sourceName, resource, param);
+      recordBreakerSuccess(breaker);
+      recordUpstreamOutcome(sourceName, resource, null);
+      if (failures.length > 0) {
+        console.log(`🔀 ${resource} served by ${sourceName} after failover (${failures.join('; ')})`);
+      }
+      return { data, source: sourceName };
+    } catch (error) {
+      // A 404 for a single item is an answer, not an outage
+      if (error.status === 404 && resource === 'info') {
+        recordBreakerSuccess(breaker);
+        throw error;
+      }
+      recordBreakerFailure(breaker, error);
+      recordUpstreamOutcome(sourceName, resource, error);
+      failures.push(`${sourceName}: ${error.message}`);
+      console.log(`⚠️ Upstream ${sourceName} failed for ${resource}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All upstream sources failed for ${resource} (${failures.join('; ')})`);
+}
+
+// MARK: - Upstream Payload Validation
+
+// Schema checks run on every (normalized) stock and weather payload: an unusable payload counts as a source
+// failure so the next source is tried, and malformed items are dropped instead of reaching processStockData.
+// Well-formed stock snapshots are then checked against the current stock for anomalies (see detectStockAnomalies).
+const STOCK_ANOMALY_CONFIRMATIONS = parseInt(process.env.STOCK_ANOMALY_CONFIRMATIONS || '3'); // identical anomalous polls before we believe them
+const STOCK_QUARANTINE_LIMIT = parseInt(process.env.STOCK_QUARANTINE_LIMIT || '20');
+
+const payloadValidationStats = { rejectedPayloads: 0, droppedItems: 0, quarantinedSnapshots: 0, acceptedAnomalies: 0 };
+let quarantinedStockSnapshots = []; // newest first: { quarantinedAt, source, reasons, itemCounts, payload }
+let pendingStockAnomaly = null; // { signature, count } for consecutive polls with the same anomaly
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isOptionalUnix(value) {
+  return value === undefined || value === null || Number.isFinite(value);
+}
+
+// A usable stock item with its id and quantity filled in, or null. Items without an item_id get one derived
+// from their name, and numeric-string or fractional quantities are accepted; only unusable items are dropped.
+function normalizeStockPayloadItem(item) {
+  if (!item || typeof item !== 'object') return null;
+
+  const displayName = isNonEmptyString(item.display_name) ? item.display_name : item.name;
+  if (!isNonEmptyString(displayName)) return null;
+
+  const quantity = typeof item.quantity === 'string' && item.quantity.trim() !== '' ? Number(item.quantity) : item.quantity;
+  if (!Number.isFinite(quantity) || quantity < 0) return null;
+
+  if (!isOptionalUnix(item.start_date_unix) || !isOptionalUnix(item.end_date_unix)) return null;
+  if (Number.isFinite(item.start_date_unix) && Number.isFinite(item.end_date_unix) && item.end_date_unix < item.start_date_unix) return null;
+
+  return {
+    ...item,
+    item_id: isNonEmptyString(item.item_id) ? item.item_id : toCatalogItemId(displayName),
+    display_name: displayName,
+    quantity: Math.floor(quantity)
+  };
+}
+
+function isValidWeatherPayloadEntry(weather) {
+  return !!weather && typeof weather === 'object' &&
+    isNonEmptyString(weather.weather_id) &&
+    isNonEmptyString(weather.weather_name) &&
+    typeof weather.active === 'boolean' &&
+    isOptionalUnix(weather.duration) &&
+    isOptionalUnix(weather.start_duration_unix) &&
+    isOptionalUnix(weather.end_duration_unix);
+}
+
+// Keep the entries the normalizer accepts (it returns null for unusable ones), count and log the rest
+function normalizePayloadEntries(entries, normalize, label) {
+  const valid = entries.map(normalize).filter(Boolean);
+  const dropped = entries.length - valid.length;
+  if (dropped > 0) {
+    payloadValidationStats.droppedItems += dropped;
+    console.log(`🧹 Dropped ${dropped} malformed ${label} entr${dropped === 1 ? 'y' : 'ies'}`);
+  }
+  return valid;
+}
+
+// Returns { payload, errors }; errors mean the payload as a whole is unusable
+function validateStockPayload(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { payload: null, errors: ['payload is not an object'] };
+  }
+
+  const errors = [];
+  const payload = { ...data };
+  for (const shop of getShopCategories()) {
+    const key = shop.upstreamKey;
+    const value = data[key];
+    const label = `${shop.itemLabel} stock`;
+    const items = shop.merchant ? value?.stock : value;
+
+    // A missing or malformed shop counts as empty; only required shops are worth a log line
+    if (!Array.isArray(items)) {
+      if (shop.required || (value !== undefined && value !== null)) {
+        console.log(`⚠️ ${shop.merchant ? `${key}.stock` : key} is ${value === undefined || value === null ? 'missing' : 'not an array'}, treating it as empty`);
+      }
+      payload[key] = shop.merchant ? { ...(isPlainObject(value) ? value : {}), stock: [] } : [];
+    } else if (shop.merchant) {
+      payload[key] = { ...value, stock: normalizePayloadEntries(items, normalizeStockPayloadItem, label) };
+    } else {
+      payload[key] = normalizePayloadEntries(items, normalizeStockPayloadItem, label);
+    }
+  }
+
+  // Seeds and gear are never sold out as a whole; a snapshot without either is an upstream hiccup
+  if (payload.seed_stock.length === 0 && payload.gear_stock.length === 0) {
+    errors.push('seed_stock and gear_stock are both missing or empty');
+  }
+
+  return { payload, errors };
+}
+
+function validateWeatherPayload(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.weather)) {
+    return { payload: null, errors: ['weather is not an array'] };
+  }
+  const weather = normalizePayloadEntries(data.weather, entry => isValidWeatherPayloadEntry(entry) ? entry : null, 'weather');
+  return { payload: { ...data, weather }, errors: [] };
+}
+
+const upstreamPayloadValidators = {
+  stock: validateStockPayload,
+  weather: validateWeatherPayload
+};
+
+// Called by requestUpstream; throws a non-retryable error so fetchFromUpstream fails over to the next source
+function validateUpstreamPayload(sourceName, resource, data) {
+  const validator = upstreamPayloadValidators[resource];
+  if (!validator) return data;
+
+  const { payload, errors } = validator(data);
+  if (errors.length > 0) {
+    payloadValidationStats.rejectedPayloads++;
+    const error = new Error(`Invalid ${resource} payload from ${sourceName}: ${errors.join(', ')}`);
+    error.retryable = false;
+    throw error;
+  }
+  return payload;
+}
+
+// Compare a validated v2 stock payload against the stock we currently serve
+function detectStockAnomalies(data, currentStock, now = new Date()) {
+  const nowUnix = Math.floor(now.getTime() / 1000);
+  const reasons = [];
+
+  for (const shop of getShopCategories()) {
+    // Merchants leave on their own schedule
+    if (shop.merchant) continue;
+    const category = shop.id;
+    const currentItems = Array.from(currentStock.values()).filter(item => item.category === category);
+    if (currentItems.length === 0) continue;
+    const incomingItems = getShopPayloadItems(data, shop);
+
+    // A shop does not empty out while its current cycle is still running
+    const cycleStillRunning = currentItems.some(item => item.quantity > 0 && Number.isFinite(item.endDate) && item.endDate > nowUnix);
+    if (incomingItems.length === 0 && cycleStillRunning) {
+      reasons.push(`${category} suddenly empty mid-cycle`);
+      continue;
+    }
+
+    // Cycles only move forward
+    const currentCycleStart = Math.max(...currentItems.map(item => item.startDate || 0));
+    const incomingCycleStart = Math.max(0, ...incomingItems.map(item => item.start_date_unix || 0));
+    if (incomingCycleStart > 0 && currentCycleStart > 0 && incomingCycleStart < currentCycleStart) {
+      reasons.push(`${category} went back to an older cycle`);
+    }
+  }
+
+  return reasons;
+}
+
+// Hold back an anomalous snapshot unless the same anomaly has persisted long enough to be real
+function shouldQuarantineStockSnapshot(data, source, reasons) {
+  if (reasons.length === 0) {
+    pendingStockAnomaly = null;
+    return false;
+  }
+
+  const signature = reasons.join('|');
+  pendingStockAnomaly = pendingStockAnomaly?.signature === signature
+    ? { signature, count: pendingStockAnomaly.count + 1 }
+    : { signature, count: 1 };
+
+  if (pendingStockAnomaly.count >= STOCK_ANOMALY_CONFIRMATIONS) {
+    console.log(`⚠️ Accepting stock snapshot from ${source} after ${pendingStockAnomaly.count} consecutive polls with: ${reasons.join(', ')}`);
+    payloadValidationStats.acceptedAnomalies++;
+    pendingStockAnomaly = null;
+    return false;
+  }
+
+  const itemCounts = {};
+  for (const shop of getShopCategories()) {
+    itemCounts[shop.id] = getShopPayloadItems(data, shop).length;
+  }
+  quarantinedStockSnapshots.unshift({ quarantinedAt: new Date(), source, reasons, itemCounts, payload: data });
+  quarantinedStockSnapshots = quarantinedStockSnapshots.slice(0, STOCK_QUARANTINE_LIMIT);
+  payloadValidationStats.quarantinedSnapshots++;
+  console.log(`🚧 Quarantined stock snapshot from ${source} (${pendingStockAnomaly.count}/${STOCK_ANOMALY_CONFIRMATIONS}): ${reasons.join(', ')}`);
+  return true;
+}
+
+function serializeQuarantinedSnapshot(snapshot, includePayload = false) {
+  return {
+    quarantined_at: snapshot.quarantinedAt.toISOString(),
+    source: snapshot.source,
+    reasons: snapshot.reasons,
+    item_counts: snapshot.itemCounts,
+    ...(includePayload ? { payload: snapshot.payload } : {})
+  };
+}
+
+// Fetch real stock data from the configured upstream sources
+async function fetchRealStockData() {
+  try {
+    console.log('🔄 Fetching stock data from upstream sources...');
+    
+    // Track API call metrics
+    lastAPICallTime = new Date();
+    apiCallCount++;
+    
+    if (!hasUpstreamSource('stock')) {
+      console.log('⚠️ No upstream source configured, using simulated stock');
+      stockFetchFallback = null;
+      // Simulated stock stands in for the upstream in dev, so Discord, webhooks, the catalog and predictions run on it
+      lastStockUpdateTime = new Date();
+      lastStockSource = 'simulator';
+      return simulateStockData();
+    }
+    
+    // Failed sources (including 401/403) fall through to the next one; if all fail we keep existing stock below
+    const { data, source } = await fetchFromUpstream('stock');
+    console.log(`✅ Successfully fetched v2 stock data from ${source}`);
+    
+    // Track successful API call
+    successfulAPICallCount++;
+    stockFetchFallback = null;
+    
+    // Keep serving the current stock instead of committing an anomalous snapshot
+    if (shouldQuarantineStockSnapshot(data, source, detectStockAnomalies(data, stockItems))) {
+      return new Map(stockItems);
+    }
+    
+    // Only accepted snapshots from the primary source add or expire discovered shops (failover sources may lag)
+    if (source === getActiveUpstreamSources('stock')[0]) {
+      updateDiscoveredShopCategories(data);
+    }
+    
+    lastStockUpdateTime = new Date();
+    lastStockSource = source;
+    
+    console.log('🔍 Validating image URLs before processing...');
+    return await processStockData(data);
+    
+  } catch (error) {
+    console.error('❌ Error fetching v2 stock data:', error.message);
+    
+    // Preserve existing stock data instead of falling back to mock
+    if (stockItems.size > 0) {
+      console.log(`📦 API failed, preserving existing ${stockItems.size} stock items`);
+      stockFetchFallback = 'preserved';
+      return new Map(stockItems); // Return copy of current stock
+    } else if (SIMULATOR_FALLBACK) {
+      console.log('🔄 No existing stock, using simulated stock as fallback (SIMULATOR_FALLBACK)');
+      stockFetchFallback = 'simulated';
+      return simulateStockData();
+    } else {
+      // Never serve made-up stock in production; clients see an empty shop and a degraded status
+      console.log('🚫 No existing stock and every source failed, serving empty stock');
+      stockFetchFallback = 'empty';
+      return new Map();
+    }
+  }
+}
+
+// Fetch item info from the cache, an in-flight lookup for the same item, or the upstream sources
+async function fetchItemInfo(itemId) {
+  const cached = itemInfoCache.get(itemId);
+  if (cached && (Date.now() - cached.lastFetched) < ITEM_INFO_CACHE_DURATION) {
+    return cached.data;
+  }
+
+  if (!itemInfoRequests.has(itemId)) {
+    itemInfoRequests.set(itemId, requestItemInfo(itemId).finally(() => itemInfoRequests.delete(itemId)));
+  }
+  return itemInfoRequests.get(itemId);
+}
+
+// Look up item info from the configured upstream sources and cache it
+async function requestItemInfo(itemId) {
+  try {
+    if (!hasUpstreamSource('info')) {
+      console.log(`⚠️ No upstream source configured, skipping item info for ${itemId}`);
+      return null;
+    }
+    
+    let data;
+    try {
+      ({ data } = await fetchFromUpstream('info', itemId));
+    } catch (error) {
+      if (error.status === 404) {
         console.log(`📝 Item info not found for: ${itemId}`);
       } else {
-        console.log(`⚠️ Item info API returned ${response.status} for ${itemId}`);
+        console.log(`⚠️ Item info unavailable for ${itemId}: ${error.message}`);
       }
       return null;
     }
-
-    const data = await response.json();
     
     // Cache the result
     itemInfoCache.set(itemId, {
@@ -331,8 +3231,10 @@ async function fetchItemInfo(itemId) {
     
     console.log(`📝 Fetched item info for: ${itemId} (rarity: ${data.rarity || 'none'})`);
     
-    // Check if this item has a rarity override
-    const override = getRarityOverride(itemId);
+    // Remember the API rarity and the item itself, and note when a registry override wins over it
+    learnApiRarity(itemId, data.display_name, data.rarity);
+    recordCatalogItemInfo(itemId, data);
+    const override = getRarityOverride(itemId, data.display_name);
     if (override) {
       console.log(`🔧 Rarity override applied for ${itemId}: ${override} (API: ${data.rarity || 'none'})`);
     }
@@ -345,32 +3247,18 @@ async function fetchItemInfo(itemId) {
   }
 }
 
-// Fetch weather data from the v2 API
+// Fetch weather data from the configured upstream sources
 async function fetchWeatherData() {
   try {
-    console.log('🌦️ Fetching weather data from v2 API...');
+    console.log('🌦️ Fetching weather data from upstream sources...');
     
-    const apiKey = process.env.JSTUDIO_API_KEY;
-    if (!apiKey) {
-      console.log('⚠️ No API key configured, skipping weather data');
-      return new Map();
+    if (!hasUpstreamSource('weather')) {
+      console.log('⚠️ No upstream source configured, using simulated weather');
+      return simulateWeatherData();
     }
     
-    const response = await fetch(WEATHER_API_URL, {
-      headers: {
-        'jstudio-key': apiKey,
-        'Accept': 'application/json',
-        'User-Agent': 'GrowAGarden-StockBot/1.0'
-      }
-    });
-
-    if (!response.ok) {
-      console.log(`⚠️ Weather API returned ${response.status}, skipping weather data`);
-      return new Map();
-    }
-
-    const data = await response.json();
-    console.log('✅ Successfully fetched weather data');
+    const { data, source } = await fetchFromUpstream('weather');
+    console.log(`✅ Successfully fetched weather data from ${source}`);
     
     // Track successful weather update
     lastWeatherUpdateTime = new Date();
@@ -380,14 +3268,16 @@ async function fetchWeatherData() {
     
   } catch (error) {
     console.error('❌ Error fetching weather data:', error.message);
-    return new Map();
+    // Keep the last known weather; an empty map would look like every active weather ending (and starting again next poll)
+    console.log(`🌦️ Weather fetch failed, preserving existing ${weatherData.size} weather events`);
+    return new Map(weatherData);
   }
 }
 
-// Fetch current event data from the v2 API
+// Fetch current event data from the configured upstream sources
 async function fetchEventData() {
   try {
-    console.log('🎉 Fetching current event data from v2 API...');
+    console.log('🎉 Fetching current event data from upstream sources...');
     
     // Log environment variable status
     if (process.env.CURRENT_EVENT_NAME) {
@@ -397,22 +3287,16 @@ async function fetchEventData() {
       console.log(`🔧 Environment override available: CURRENT_EVENT_ICON="${process.env.CURRENT_EVENT_ICON}"`);
     }
     
-    const apiKey = process.env.JSTUDIO_API_KEY;
-    if (!apiKey) {
-      console.log('⚠️ No API key configured, skipping event data');
-      return null;
+    if (!hasUpstreamSource('event')) {
+      console.log('⚠️ No upstream source configured, using simulated event');
+      return simulateEventData();
     }
     
-    const response = await fetch(EVENT_API_URL, {
-      headers: {
-        'jstudio-key': apiKey,
-        'Accept': 'application/json',
-        'User-Agent': 'GrowAGarden-StockBot/1.0'
-      }
-    });
-
-    if (!response.ok) {
-      console.log(`⚠️ Event API returned ${response.status}, checking for fallback event data`);
+    let data, source;
+    try {
+      ({ data, source } = await fetchFromUpstream('event'));
+    } catch (error) {
+      console.log(`⚠️ Event sources failed (${error.message}), checking for fallback event data`);
       
       // If API fails but we have environment variable, create fallback event
       if (process.env.CURRENT_EVENT_NAME) {
@@ -422,9 +3306,7 @@ async function fetchEventData() {
       
       return null;
     }
-
-    const data = await response.json();
-    console.log('✅ Successfully fetched event data');
+    console.log(`✅ Successfully fetched event data from ${source}`);
     
     // Track successful event update
     lastEventUpdateTime = new Date();
@@ -581,292 +3463,504 @@ function buildEventThemeFromEnv() {
   }
 }
 
-// Image validation cache to avoid repeated checks
-let imageValidationCache = new Map(); // URL -> { isValid: boolean, lastChecked: timestamp }
+// Image validation cache to avoid repeated downloads of the same upstream URL
+// URL -> { isValid, lastChecked, reason, lastSuccessAt, consecutiveFailures, history: [{ checkedAt, ok, reason, durationMs }] }
+let imageValidationCache = new Map();
 const IMAGE_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+const IMAGE_VALIDATION_HISTORY_LIMIT = 10;
 
-// Function to validate if an image URL returns a valid image (not 404 or logotype)
-async function validateImageURL(imageUrl) {
-  if (!imageUrl) return false;
-  
-  // Check cache first
-  const cached = imageValidationCache.get(imageUrl);
-  if (cached && (Date.now() - cached.lastChecked) < IMAGE_CACHE_DURATION) {
-    return cached.isValid;
+// MARK: - Icon Mirror
+
+// Icons are downloaded once per item and weather and served from /api/icons/:id, so clients never load the
+// upstream CDN directly. URLs carry a content hash (?v=) and can be cached for a year; a new image gets a new URL.
+const ICON_SIZES = [64, 128, 256];
+const ICON_DEFAULT_SIZE = 128;
+const ICON_MAX_BYTES = parseInt(process.env.ICON_MAX_BYTES || String(2 * 1024 * 1024));
+const ICON_VARIANT_CACHE_LIMIT = parseInt(process.env.ICON_VARIANT_CACHE_LIMIT || '500');
+const ICON_PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+const ICON_HASH_PATTERN = /^[0-9a-f]{12}$/;
+
+// Only metadata stays in memory; the image bytes live in icon_mirror and resized copies in iconVariants
+const mirroredIcons = new Map(); // icon id -> { iconId, kind, sourceUrl, contentType, hash, byteLength, etag, lastModified, fetchedAt }
+const iconSourceData = new Map(); // icon id -> original bytes, only without a database (nowhere else to keep them)
+const iconVariants = new Map(); // `${iconId}:${hash}:${size}` -> PNG bytes, oldest first
+const iconDownloads = new Map(); // icon id -> in-flight download
+
+// Items use their item_id; weather ids are namespaced so they can't collide with items
+function getItemIconId(item) {
+  return item.item_id || toCatalogItemId(item.display_name);
+}
+
+function getWeatherIconId(weatherId) {
+  return `weather.${weatherId}`;
+}
+
+// Stable URL served by this server (placeholder until the icon has been mirrored)
+function getIconUrl(iconId) {
+  const hash = mirroredIcons.get(iconId)?.hash;
+  return `${ICON_PUBLIC_BASE_URL}/api/icons/${encodeURIComponent(iconId)}${hash ? `?v=${hash}` : ''}`;
+}
+
+// API responses resolve relative icon URLs against the host the client called, so apps always get absolute URLs
+function toAbsoluteIconUrl(icon, req) {
+  return typeof icon === 'string' && icon.startsWith('/') ? `${req.protocol}://${req.get('host')}${icon}` : icon;
+}
+
+// Discord and webhook payloads have no request to resolve against; without PUBLIC_BASE_URL they carry the upstream URL
+function getOutboundIconUrl(data) {
+  return /^https?:\/\//.test(data?.icon || '') ? data.icon : (data?.sourceIcon || null);
+}
+
+// Icon metadata from PostgreSQL (icons mirrored by another dyno or before a restart), falling back to memory
+async function loadMirroredIcon(iconId) {
+  if (!isDatabaseReady) return mirroredIcons.get(iconId) || null;
+
+  try {
+    const result = await dbPool.query(
+      `SELECT icon_id, kind, source_url, content_type, hash, octet_length(data) AS byte_length, source_etag, source_last_modified, fetched_at
+       FROM icon_mirror WHERE icon_id = $1`,
+      [iconId]
+    );
+    const row = result.rows[0];
+    if (!row) return mirroredIcons.get(iconId) || null;
+    const icon = {
+      iconId: row.icon_id,
+      kind: row.kind,
+      sourceUrl: row.source_url,
+      contentType: row.content_type,
+      hash: row.hash,
+      byteLength: row.byte_length,
+      etag: row.source_etag,
+      lastModified: row.source_last_modified,
+      fetchedAt: new Date(row.fetched_at).toISOString()
+    };
+    mirroredIcons.set(iconId, icon);
+    return icon;
+  } catch (error) {
+    console.error(`❌ Failed to load mirrored icon ${iconId}:`, error.message);
+    return mirroredIcons.get(iconId) || null;
   }
-  
+}
+
+// Original bytes of a mirrored icon; null when that version is gone (replaced by a newer download)
+async function readMirroredIconData(icon) {
+  if (!isDatabaseReady) return iconSourceData.get(icon.iconId) || null;
+
+  const result = await dbPool.query('SELECT data FROM icon_mirror WHERE icon_id = $1 AND hash = $2', [icon.iconId, icon.hash]);
+  return result.rows[0]?.data || null;
+}
+
+async function persistMirroredIcon(icon, data) {
+  if (!isDatabaseReady) {
+    iconSourceData.set(icon.iconId, data);
+    return;
+  }
+
   try {
-    const response = await fetch(imageUrl, { 
-      method: 'HEAD',
-      timeout: 5000 // 5 second timeout
-    });
-    
-    // Check basic validity
-    const isHttpOk = response.ok;
-    const isImageType = response.headers.get('content-type')?.startsWith('image/');
-    const contentLength = parseInt(response.headers.get('content-length') || '0');
-    
-    // Reject very small images (likely logotype) - minimum 1KB
-    const isValidSize = contentLength > 1024 || contentLength === 0; // 0 means no content-length header
-    
-    const isValid = isHttpOk && isImageType && isValidSize;
-    
-    // Cache the result
-    imageValidationCache.set(imageUrl, {
-      isValid: isValid,
-      lastChecked: Date.now()
-    });
-    
-    if (!isValid) {
-      const reason = !isHttpOk ? `HTTP ${response.status}` : 
-                    !isImageType ? 'not image type' : 
-                    !isValidSize ? `too small (${contentLength}b)` : 'unknown';
-      console.log(`❌ Invalid image URL: ${imageUrl} (${reason})`);
-    }
-    
-    return isValid;
+    await dbPool.query(
+      `INSERT INTO icon_mirror (icon_id, kind, source_url, content_type, data, hash, source_etag, source_last_modified, fetched_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       ON CONFLICT (icon_id) DO UPDATE SET
+         kind = EXCLUDED.kind,
+         source_url = EXCLUDED.source_url,
+         content_type = EXCLUDED.content_type,
+         data = EXCLUDED.data,
+         hash = EXCLUDED.hash,
+         source_etag = EXCLUDED.source_etag,
+         source_last_modified = EXCLUDED.source_last_modified,
+         fetched_at = EXCLUDED.fetched_at,
+         updated_at = NOW()`,
+      [icon.iconId, icon.kind, icon.sourceUrl, icon.contentType, data, icon.hash, icon.etag, icon.lastModified, icon.fetchedAt]
+    );
   } catch (error) {
-    console.log(`❌ Error validating image URL ${imageUrl}: ${error.message}`);
-    
-    // Cache failed validation
-    imageValidationCache.set(imageUrl, {
-      isValid: false,
-      lastChecked: Date.now()
-    });
-    
-    return false;
+    console.error(`❌ Failed to persist mirrored icon ${icon.iconId}:`, error.message);
   }
 }
 
-// Process stock data from v2 API into our format
-async function processStockData(apiResponse) {
-  const processedItems = new Map();
-  
-  if (!apiResponse) {
-    console.log('⚠️ Invalid API response');
-    return processedItems; // Return empty map instead of hardcoded catalog
+// Record one download attempt. A failure doesn't mark the URL invalid yet; the revalidation worker does that
+// once its retries are used up.
+function recordImageValidation(sourceUrl, reason, reasonCode, durationMs) {
+  const validation = imageValidationCache.get(sourceUrl)
+    || { isValid: false, lastChecked: 0, reason: null, lastSuccessAt: null, consecutiveFailures: 0, history: [] };
+  const now = new Date();
+  validation.lastChecked = now.getTime();
+  validation.history = [...validation.history, { checkedAt: now.toISOString(), ok: !reason, reason, durationMs }]
+    .slice(-IMAGE_VALIDATION_HISTORY_LIMIT);
+
+  iconRevalidationStats.checks++;
+  if (reason) {
+    validation.reason = reason;
+    validation.consecutiveFailures++;
+    iconRevalidationStats.failures++;
+    iconRevalidationStats.failureReasons[reasonCode] = (iconRevalidationStats.failureReasons[reasonCode] || 0) + 1;
+  } else {
+    validation.isValid = true;
+    validation.reason = null;
+    validation.lastSuccessAt = now.toISOString();
+    validation.consecutiveFailures = 0;
+    iconRevalidationStats.successes++;
   }
+  imageValidationCache.set(sourceUrl, validation);
+}
 
-  console.log('🔄 Processing items dynamically from API (no hardcoded lists)...');
+// Download an icon into the mirror; resolves { ok, reason } for this attempt. Concurrent calls for the same icon
+// share one download.
+function startIconDownload(iconId, sourceUrl, kind) {
+  if (!iconDownloads.has(iconId)) {
+    iconDownloads.set(iconId, downloadIcon(iconId, sourceUrl, kind).finally(() => iconDownloads.delete(iconId)));
+  }
+  return iconDownloads.get(iconId);
+}
 
-  // Process seeds from v2 API
-  if (apiResponse.seed_stock && Array.isArray(apiResponse.seed_stock)) {
-    for (const item of apiResponse.seed_stock) {
-      // Validate image URL before including the item
-      const hasValidImage = await validateImageURL(item.icon);
-      
-      // Fetch item info to get rarity (if available)
-      let itemInfo = null;
-      if (item.item_id) {
-        itemInfo = await fetchItemInfo(item.item_id);
-      }
-      
-      // Get rarity with priority: Override > API > Hardcoded > null
-      const rarityOverride = getRarityOverride(item.item_id);
-      const apiRarity = itemInfo?.rarity;
-      const hardcodedRarity = getItemRarity(item.display_name);
-      const finalRarity = rarityOverride || apiRarity || hardcodedRarity;
-      
-      const itemData = {
-        quantity: item.quantity || 0,
-        category: 'seeds',
-        itemId: item.item_id,
-        displayName: item.display_name,
-        icon: hasValidImage ? item.icon : null, // Only include valid image URLs
-        startDate: item.start_date_unix,
-        endDate: item.end_date_unix,
-        rarity: finalRarity  // Priority: Override > API > Hardcoded
-      };
-      
-      processedItems.set(item.display_name, itemData);
-      console.log(`🌱 Processed seed: ${item.display_name} (qty: ${item.quantity}, rarity: ${finalRarity || 'unknown'}${rarityOverride ? ' [OVERRIDE]' : ''})`);
-      
-      // Show override details for any item that has one
-      if (rarityOverride && itemInfo?.rarity && rarityOverride !== itemInfo.rarity) {
-        console.log(`🔧 Rarity override used for ${item.display_name}: ${rarityOverride} (overrode API: ${itemInfo.rarity})`);
-      }
-    }
+async function downloadIcon(iconId, sourceUrl, kind) {
+  const existing = mirroredIcons.get(iconId) || await loadMirroredIcon(iconId);
+  const startedAt = Date.now();
+
+  // Revalidate the mirrored copy with the validators the CDN sent for it, so an unchanged icon costs a 304
+  const headers = {};
+  if (existing?.sourceUrl === sourceUrl) {
+    if (existing.etag) headers['If-None-Match'] = existing.etag;
+    if (existing.lastModified) headers['If-Modified-Since'] = existing.lastModified;
   }
 
-  // Process gear from v2 API
-  if (apiResponse.gear_stock && Array.isArray(apiResponse.gear_stock)) {
-    for (const item of apiResponse.gear_stock) {
-      // Validate image URL before including the item
-      const hasValidImage = await validateImageURL(item.icon);
-      
-      // Fetch item info to get rarity (if available)
-      let itemInfo = null;
-      if (item.item_id) {
-        itemInfo = await fetchItemInfo(item.item_id);
-      }
-      
-      // Get rarity with priority: Override > API > Hardcoded > null
-      const rarityOverride = getRarityOverride(item.item_id);
-      const apiRarity = itemInfo?.rarity;
-      const hardcodedRarity = getItemRarity(item.display_name);
-      const finalRarity = rarityOverride || apiRarity || hardcodedRarity;
-      
-      const itemData = {
-        quantity: item.quantity || 0,
-        category: 'gear',
-        itemId: item.item_id,
-        displayName: item.display_name,
-        icon: hasValidImage ? item.icon : null, // Only include valid image URLs
-        startDate: item.start_date_unix,
-        endDate: item.end_date_unix,
-        rarity: finalRarity  // Priority: Override > API > null
-      };
-      
-      processedItems.set(item.display_name, itemData);
-      console.log(`⚙️ Processed gear: ${item.display_name} (qty: ${item.quantity}, rarity: ${itemData.rarity || 'unknown'})`);
+  let reason = null;
+  let reasonCode = null;
+  let data = null;
+  let contentType = null;
+  let validators = null;
+  try {
+    const response = await fetch(sourceUrl, { headers, timeout: 5000, size: ICON_MAX_BYTES });
+    if (response.status === 304 && existing?.sourceUrl === sourceUrl) {
+      recordImageValidation(sourceUrl, null, null, Date.now() - startedAt);
+      return { ok: true, reason: null };
     }
-  }
 
-  // Process cosmetic from v2 API
-  if (apiResponse.cosmetic_stock && Array.isArray(apiResponse.cosmetic_stock)) {
-    for (const item of apiResponse.cosmetic_stock) {
-      // Validate image URL before including the item
-      const hasValidImage = await validateImageURL(item.icon);
-      
-      // Fetch item info to get rarity (if available)
-      let itemInfo = null;
-      if (item.item_id) {
-        itemInfo = await fetchItemInfo(item.item_id);
+    contentType = response.headers.get('content-type') || '';
+    validators = { etag: response.headers.get('etag'), lastModified: response.headers.get('last-modified') };
+    if (!response.ok) {
+      reason = reasonCode = `HTTP ${response.status}`;
+    } else if (!contentType.startsWith('image/')) {
+      reason = reasonCode = 'not image type';
+    } else {
+      data = await response.buffer();
+      // Reject very small images (likely logotype) - minimum 1KB
+      if (data.length <= 1024) {
+        reason = `too small (${data.length}b)`;
+        reasonCode = 'too small';
+      } else {
+        await sharp(data).metadata().catch(error => {
+          reason = `undecodable (${error.message})`;
+          reasonCode = 'undecodable';
+        });
       }
-      
-      // Get rarity with priority: Override > API > Hardcoded > null
-      const rarityOverride = getRarityOverride(item.item_id);
-      const apiRarity = itemInfo?.rarity;
-      const hardcodedRarity = getItemRarity(item.display_name);
-      const finalRarity = rarityOverride || apiRarity || hardcodedRarity;
-      
-      const itemData = {
-        quantity: item.quantity || 0,
-        category: 'cosmetic',
-        itemId: item.item_id,
-        displayName: item.display_name,
-        icon: hasValidImage ? item.icon : null, // Only include valid image URLs
-        startDate: item.start_date_unix,
-        endDate: item.end_date_unix,
-        rarity: finalRarity  // Priority: Override > API > Hardcoded
-      };
-      
-      processedItems.set(item.display_name, itemData);
-      console.log(`🎨 Processed cosmetic: ${item.display_name} (qty: ${item.quantity}, rarity: ${itemData.rarity || 'unknown'})`);
     }
+  } catch (error) {
+    reason = error.message;
+    reasonCode = error.code || error.type || 'network error'; // e.g., ECONNREFUSED, request-timeout, max-size
   }
 
-  // Process eggs from v2 API - FIXED: Return proper quantities instead of individual items
-  if (apiResponse.egg_stock && Array.isArray(apiResponse.egg_stock)) {
-    for (const item of apiResponse.egg_stock) {
-      if (item.display_name && !item.display_name.toLowerCase().includes('location')) {
-        // Validate image URL before including the item
-        const hasValidImage = await validateImageURL(item.icon);
-        
-        // Check if this egg type already exists
-        const existingEgg = processedItems.get(item.display_name);
-        
-        // Fetch item info to get rarity (if available)
-        let itemInfo = null;
-        if (item.item_id) {
-          itemInfo = await fetchItemInfo(item.item_id);
-        }
-        
-        // Get rarity with priority: Override > API > Hardcoded > null
-        const rarityOverride = getRarityOverride(item.item_id);
-        const apiRarity = itemInfo?.rarity;
-        const hardcodedRarity = getItemRarity(item.display_name);
-        const finalRarity = rarityOverride || apiRarity || hardcodedRarity;
-        
-        if (existingEgg) {
-          // Aggregate quantities for duplicate egg types
-          existingEgg.quantity += (item.quantity || 0);
-          // Update icon if this instance has a valid image
-          if (hasValidImage) {
-            existingEgg.icon = item.icon;
-          }
-          // Update rarity with override priority
-          if (finalRarity) {
-            existingEgg.rarity = finalRarity;
-          }
-          console.log(`🥚 Aggregated ${item.display_name}: ${existingEgg.quantity} total (rarity: ${existingEgg.rarity || 'unknown'})`);
-        } else {
-          const itemData = {
-            quantity: item.quantity || 0,
-            category: 'eggs',
-            itemId: item.item_id,
-            displayName: item.display_name,
-            originalName: item.display_name,
-            icon: hasValidImage ? item.icon : null, // Only include valid image URLs
-            startDate: item.start_date_unix,
-            endDate: item.end_date_unix,
-            rarity: finalRarity  // Priority: Override > API > Hardcoded
-          };
-          
-          processedItems.set(item.display_name, itemData);
-          console.log(`🥚 Processed egg: ${item.display_name} (qty: ${item.quantity}, rarity: ${itemData.rarity || 'unknown'})`);
-        }
-      }
+  recordImageValidation(sourceUrl, reason, reasonCode, Date.now() - startedAt);
+  if (reason) {
+    console.log(`❌ Invalid image URL: ${sourceUrl} (${reason})${existing ? ' - keeping the mirrored copy' : ''}`);
+    return { ok: false, reason };
+  }
+
+  const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+  const isUnchanged = existing?.hash === hash && existing.sourceUrl === sourceUrl
+    && existing.etag === validators.etag && existing.lastModified === validators.lastModified;
+  if (isUnchanged) return { ok: true, reason: null };
+
+  const icon = { iconId, kind, sourceUrl, contentType, hash, byteLength: data.length, ...validators, fetchedAt: new Date().toISOString() };
+  await persistMirroredIcon(icon, data);
+  mirroredIcons.set(iconId, icon);
+  console.log(`🖼️ Mirrored icon ${iconId} (${data.length}b, ${hash})`);
+  return { ok: true, reason: null };
+}
+
+// Mirror an icon right away (used when a client asks for an icon that was never mirrored); resolves true when
+// a usable image is available, fresh or previously mirrored
+async function mirrorIcon(iconId, sourceUrl, kind = 'item') {
+  if (!iconId || !sourceUrl) return false;
+
+  // Replays run offline, and a URL that just failed is left to the revalidation worker
+  const validation = imageValidationCache.get(sourceUrl);
+  const recentlyFailed = validation && !validation.isValid && (Date.now() - validation.lastChecked) < IMAGE_CACHE_DURATION;
+  if (upstreamReplay || recentlyFailed) {
+    return !!(mirroredIcons.get(iconId) || await loadMirroredIcon(iconId));
+  }
+
+  const { ok } = await startIconDownload(iconId, sourceUrl, kind);
+  return ok || mirroredIcons.has(iconId);
+}
+
+function cacheIconVariant(key, data) {
+  iconVariants.set(key, data);
+  if (iconVariants.size > ICON_VARIANT_CACHE_LIMIT) {
+    iconVariants.delete(iconVariants.keys().next().value);
+  }
+  return data;
+}
+
+// Square PNG of the mirrored image, letterboxed on a transparent background; null when the bytes are gone
+async function renderIconVariant(icon, size) {
+  const key = `${icon.iconId}:${icon.hash}:${size}`;
+  if (iconVariants.has(key)) return iconVariants.get(key);
+
+  const source = await readMirroredIconData(icon);
+  if (!source) return null;
+  const data = await sharp(source)
+    .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+  return cacheIconVariant(key, data);
+}
+
+// Initials on a colored tile, for icons that were never mirrored or whose download failed
+async function renderIconPlaceholder(iconId, size) {
+  const key = `placeholder:${iconId}:${size}`;
+  if (iconVariants.has(key)) return iconVariants.get(key);
+
+  const label = iconId.startsWith('weather.')
+    ? weatherData.get(iconId.slice('weather.'.length))?.weatherName || iconId.slice('weather.'.length)
+    : findCatalogEntry(iconId)?.name || iconId;
+  const initials = label.split(/[\s_.-]+/).map(word => word.replace(/[^A-Za-z0-9]/g, '')).filter(Boolean)
+    .slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?';
+  const hue = parseInt(crypto.createHash('sha256').update(iconId).digest('hex').slice(0, 4), 16) % 360;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">`
+    + `<rect width="${size}" height="${size}" rx="${Math.round(size / 6)}" fill="hsl(${hue}, 45%, 55%)"/>`
+    + `<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${Math.round(size * 0.4)}" fill="#ffffff">${initials}</text>`
+    + '</svg>';
+  return cacheIconVariant(key, await sharp(Buffer.from(svg)).png().toBuffer());
+}
+
+// MARK: - Icon Revalidation
+
+// Stock and weather processing only queue icons; this worker downloads them in the background and retries
+// failures, so a network blip never blanks an icon. Clients keep the last good copy (or the placeholder) meanwhile.
+const ICON_REVALIDATION_CONCURRENCY = Math.max(1, parseInt(process.env.ICON_REVALIDATION_CONCURRENCY || '2'));
+const ICON_REVALIDATION_RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+
+const iconRevalidationQueue = new Map(); // icon id -> { iconId, sourceUrl, kind, attempt, dueAt, queuedAt }
+const iconRevalidationStats = { checks: 0, successes: 0, failures: 0, retries: 0, abandoned: 0, lastRunAt: null, failureReasons: {} };
+let isIconRevalidationRunning = false;
+
+// Queue an icon unless its URL was checked within the last hour; returns true when queued
+function queueIconRevalidation(iconId, sourceUrl, kind = 'item') {
+  if (!iconId || !sourceUrl || upstreamReplay) return false;
+
+  const queued = iconRevalidationQueue.get(iconId);
+  if (queued && queued.sourceUrl === sourceUrl) return false; // keep its retry schedule
+
+  // A fresh success only counts for the icon that mirrored this URL; a fresh failure waits for the hourly recheck
+  const validation = imageValidationCache.get(sourceUrl);
+  const isFresh = validation && (Date.now() - validation.lastChecked) < IMAGE_CACHE_DURATION;
+  if (isFresh && (!validation.isValid || mirroredIcons.get(iconId)?.sourceUrl === sourceUrl)) return false;
+
+  iconRevalidationQueue.set(iconId, { iconId, sourceUrl, kind, attempt: 0, dueAt: Date.now(), queuedAt: new Date().toISOString() });
+  return true;
+}
+
+async function revalidateIcon(job) {
+  job.attempt++;
+  const { ok, reason } = await startIconDownload(job.iconId, job.sourceUrl, job.kind);
+  if (ok) {
+    iconRevalidationQueue.delete(job.iconId);
+    return;
+  }
+
+  if (job.attempt <= ICON_REVALIDATION_RETRY_DELAYS_MS.length) {
+    const delayMs = ICON_REVALIDATION_RETRY_DELAYS_MS[job.attempt - 1];
+    job.dueAt = Date.now() + delayMs;
+    iconRevalidationStats.retries++;
+    console.log(`🔁 Icon ${job.iconId} failed (${reason}) - retry ${job.attempt}/${ICON_REVALIDATION_RETRY_DELAYS_MS.length} in ${Math.round(delayMs / 1000)}s`);
+    return;
+  }
+
+  // Out of retries: the URL counts as invalid until the next hourly check
+  iconRevalidationQueue.delete(job.iconId);
+  const validation = imageValidationCache.get(job.sourceUrl);
+  if (validation) validation.isValid = false;
+  iconRevalidationStats.abandoned++;
+  console.log(`🚫 Icon ${job.iconId} failed ${job.attempt} times (${reason}) - serving ${mirroredIcons.has(job.iconId) ? 'the last good copy' : 'a placeholder'}`);
+}
+
+// One worker tick: run the due jobs, at most ICON_REVALIDATION_CONCURRENCY at a time
+async function processIconRevalidationQueue() {
+  if (isIconRevalidationRunning) return;
+
+  const now = Date.now();
+  const dueJobs = [...iconRevalidationQueue.values()].filter(job => job.dueAt <= now);
+  if (dueJobs.length === 0) return;
+
+  isIconRevalidationRunning = true;
+  try {
+    await mapWithConcurrency(dueJobs, ICON_REVALIDATION_CONCURRENCY, revalidateIcon);
+    iconRevalidationStats.lastRunAt = new Date().toISOString();
+  } finally {
+    isIconRevalidationRunning = false;
+  }
+}
+
+// MARK: - Stock Enrichment
+
+// Item info lookups run in parallel, at most this many at a time
+const STOCK_ENRICHMENT_CONCURRENCY = Math.max(1, parseInt(process.env.STOCK_ENRICHMENT_CONCURRENCY || '6'));
+const STOCK_ENRICHMENT_HISTORY_LIMIT = 20;
+
+let lastStockEnrichment = null; // metrics of the latest run, see enrichStockItems
+let stockEnrichmentDurations = []; // ms, newest last
+
+// Run worker over values with at most `limit` in flight; results keep the input order
+async function mapWithConcurrency(values, limit, worker) {
+  const results = new Array(values.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, values.length) }, async () => {
+    while (nextIndex < values.length) {
+      const index = nextIndex++;
+      results[index] = await worker(values[index], index);
     }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// Fetch item info and queue icon revalidation for a whole snapshot. Duplicate item IDs and icons
+// (e.g., one egg in several shop slots) are looked up once.
+async function enrichStockItems(rawItems) {
+  const startedAt = Date.now();
+  const itemIds = [...new Set(rawItems.map(item => item.item_id).filter(Boolean))];
+  const iconSources = new Map(rawItems.filter(item => item.icon).map(item => [getItemIconId(item), item.icon])); // icon id -> upstream URL
+
+  // Icons download in the background; processing uses the last good copy
+  let iconRevalidations = 0;
+  for (const [iconId, sourceUrl] of iconSources) {
+    if (queueIconRevalidation(iconId, sourceUrl)) iconRevalidations++;
   }
 
-  // Process traveling merchant stock from v2 API
-  if (
-    apiResponse.travelingmerchant_stock &&
-    Array.isArray(apiResponse.travelingmerchant_stock.stock)
-  ) {
-    const merchantName = apiResponse.travelingmerchant_stock.merchantName || 'Traveling Merchant';
-    for (const item of apiResponse.travelingmerchant_stock.stock) {
-      // Validate image URL before including the item
-      const hasValidImage = await validateImageURL(item.icon);
+  const itemInfoById = new Map();
+  let slowestLookupMs = 0;
 
-      // Fetch item info to get rarity (if available)
-      let itemInfo = null;
-      if (item.item_id) {
-        itemInfo = await fetchItemInfo(item.item_id);
-      }
+  await mapWithConcurrency(itemIds, STOCK_ENRICHMENT_CONCURRENCY, async itemId => {
+    const lookupStartedAt = Date.now();
+    itemInfoById.set(itemId, await fetchItemInfo(itemId));
+    slowestLookupMs = Math.max(slowestLookupMs, Date.now() - lookupStartedAt);
+  });
 
-      // Get rarity with priority: Override > API > Hardcoded > null
-      const rarityOverride = getRarityOverride(item.item_id);
-      const apiRarity = itemInfo?.rarity;
-      const hardcodedRarity = getItemRarity(item.display_name);
-      const finalRarity = rarityOverride || apiRarity || hardcodedRarity;
+  const durationMs = Date.now() - startedAt;
+  const requestedLookups = rawItems.filter(item => item.item_id).length + rawItems.filter(item => item.icon).length;
+  lastStockEnrichment = {
+    completedAt: new Date(),
+    durationMs,
+    items: rawItems.length,
+    itemInfoLookups: itemIds.length,
+    iconRevalidations,
+    coalescedLookups: requestedLookups - itemIds.length - iconSources.size,
+    slowestLookupMs
+  };
+  stockEnrichmentDurations.push(durationMs);
+  stockEnrichmentDurations = stockEnrichmentDurations.slice(-STOCK_ENRICHMENT_HISTORY_LIMIT);
 
-      const itemData = {
-        quantity: item.quantity || 0,
-        category: 'traveling_merchant',
-        itemId: item.item_id,
-        displayName: item.display_name,
-        icon: hasValidImage ? item.icon : null,
-        startDate: item.start_date_unix,
-        endDate: item.end_date_unix,
-        rarity: finalRarity,
-        merchant: merchantName
-      };
+  console.log(`⏱️ Enriched ${rawItems.length} items in ${durationMs}ms (${itemIds.length} info lookups, ${iconRevalidations} icons queued, ${lastStockEnrichment.coalescedLookups} coalesced, concurrency ${STOCK_ENRICHMENT_CONCURRENCY})`);
+  return { itemInfoById };
+}
 
-      processedItems.set(item.display_name, itemData);
-      console.log(
-        `🧳 Processed traveling merchant: ${item.display_name} (qty: ${item.quantity}, rarity: ${itemData.rarity || 'unknown'}) by ${merchantName}`
-      );
+function serializeStockEnrichment() {
+  if (!lastStockEnrichment) return null;
+  return {
+    concurrency: STOCK_ENRICHMENT_CONCURRENCY,
+    last_run: {
+      completed_at: lastStockEnrichment.completedAt.toISOString(),
+      duration_ms: lastStockEnrichment.durationMs,
+      items: lastStockEnrichment.items,
+      item_info_lookups: lastStockEnrichment.itemInfoLookups,
+      icon_revalidations_queued: lastStockEnrichment.iconRevalidations,
+      coalesced_lookups: lastStockEnrichment.coalescedLookups,
+      slowest_lookup_ms: lastStockEnrichment.slowestLookupMs
+    },
+    average_duration_ms: Math.round(stockEnrichmentDurations.reduce((sum, ms) => sum + ms, 0) / stockEnrichmentDurations.length),
+    max_duration_ms: Math.max(...stockEnrichmentDurations),
+    runs_sampled: stockEnrichmentDurations.length
+  };
+}
+
+// Process stock data from v2 API into our format
+async function processStockData(apiResponse) {
+  const processedItems = new Map();
+  
+  if (!apiResponse) {
+    console.log('⚠️ Invalid API response');
+    return processedItems; // Return empty map instead of hardcoded catalog
+  }
+
+  console.log('🔄 Processing items dynamically from API (no hardcoded lists)...');
+
+  const entries = [];
+  for (const shop of getShopCategories()) {
+    const items = getShopPayloadItems(apiResponse, shop);
+    if (!Array.isArray(items)) continue;
+    for (const item of items) {
+      if (!shop.includeItem || shop.includeItem(item)) entries.push({ shop, item });
+    }
+  }
+
+  const { itemInfoById } = await enrichStockItems(entries.map(entry => entry.item));
+
+  for (const { shop, item } of entries) {
+    const iconId = getItemIconId(item);
+    const itemInfo = item.item_id ? itemInfoById.get(item.item_id) : null;
+    
+    // Get rarity from the registry: Override > API > learned > defaults (unknown items default to Rare)
+    recordRarityItemName(item.item_id, item.display_name);
+    const resolvedRarity = resolveItemRarity({ itemId: item.item_id, itemName: item.display_name, apiRarity: itemInfo?.rarity });
+    const rarityOverride = resolvedRarity.source === 'override' ? resolvedRarity.rarity : null;
+    const finalRarity = resolvedRarity.rarity || getItemRarity(item.display_name);
+    
+    // Aggregate quantities for duplicate entries (e.g., one per egg slot)
+    const existingItem = shop.aggregateByName ? processedItems.get(item.display_name) : null;
+    if (existingItem) {
+      existingItem.quantity += (item.quantity || 0);
+      if (finalRarity) {
+        existingItem.rarity = finalRarity;
+      }
+      console.log(`${shop.emoji} Aggregated ${item.display_name}: ${existingItem.quantity} total (rarity: ${existingItem.rarity || 'unknown'})`);
+      continue;
+    }
+    
+    const itemData = {
+      quantity: item.quantity || 0,
+      category: shop.id,
+      itemId: item.item_id,
+      displayName: item.display_name,
+      ...(shop.id === 'eggs' ? { originalName: item.display_name } : {}),
+      icon: getIconUrl(iconId), // Mirrored icon, or a placeholder when it couldn't be downloaded
+      sourceIcon: item.icon || null,
+      startDate: item.start_date_unix,
+      endDate: item.end_date_unix,
+      rarity: finalRarity,
+      ...(shop.merchant ? { merchant: apiResponse[shop.upstreamKey]?.merchantName || shop.displayName } : {})
+    };
+    
+    processedItems.set(item.display_name, itemData);
+    console.log(`${shop.emoji} Processed ${shop.label}: ${item.display_name} (qty: ${item.quantity}, rarity: ${finalRarity || 'unknown'}${rarityOverride ? ' [OVERRIDE]' : ''})`);
+    
+    // Show override details for any item that has one
+    if (rarityOverride && itemInfo?.rarity && rarityOverride !== itemInfo.rarity) {
+      console.log(`🔧 Rarity override used for ${item.display_name}: ${rarityOverride} (overrode API: ${itemInfo.rarity})`);
     }
   }
 
   console.log(`📊 Processed ${processedItems.size} total items dynamically from API`);
-  console.log(
-    `📊 Breakdown: ` +
-      `${Array.from(processedItems.values()).filter(i => i.category === 'seeds').length} seeds, ` +
-      `${Array.from(processedItems.values()).filter(i => i.category === 'gear').length} gear, ` +
-      `${Array.from(processedItems.values()).filter(i => i.category === 'eggs').length} eggs, ` +
-      `${Array.from(processedItems.values()).filter(i => i.category === 'cosmetic').length} cosmetic, ` +
-      `${Array.from(processedItems.values()).filter(i => i.category === 'traveling_merchant').length} traveling_merchant`
-  );
   
   // Add always-shown items from environment variables (out of stock but available for favoriting)
   await addAlwaysShownItems(processedItems);
   
   const finalCount = processedItems.size;
+  const breakdown = getShopCategories()
+    .map(shop => `${Array.from(processedItems.values()).filter(i => i.category === shop.id).length} ${shop.id}`)
+    .join(', ');
   console.log(`📊 Final item count: ${finalCount} items (includes always-shown out-of-stock items)`);
-  console.log(`📊 Final breakdown: ${Array.from(processedItems.values()).filter(i => i.category === 'seeds').length} seeds, ${Array.from(processedItems.values()).filter(i => i.category === 'gear').length} gear, ${Array.from(processedItems.values()).filter(i => i.category === 'eggs').length} eggs, ${Array.from(processedItems.values()).filter(i => i.category === 'cosmetic').length} cosmetic`);
+  console.log(`📊 Final breakdown: ${breakdown}`);
   
   return processedItems;
 }
@@ -890,8 +3984,9 @@ async function processWeatherData(apiResponse) {
       console.log(`🚫 IGNOREWEATHER: Skipping weather '${weather.weather_name}'`);
       continue;
     }
-    // Validate weather icon URL before including it
-    const hasValidIcon = await validateImageURL(weather.icon);
+    // Revalidate the weather icon in the background; clients get the last good copy (or a placeholder) meanwhile
+    const iconId = getWeatherIconId(weather.weather_id);
+    queueIconRevalidation(iconId, weather.icon, 'weather');
     
     const weatherData = {
       weatherId: weather.weather_id,
@@ -900,13 +3995,14 @@ async function processWeatherData(apiResponse) {
       duration: weather.duration,
       startDuration: weather.start_duration_unix,
       endDuration: weather.end_duration_unix,
-      icon: hasValidIcon ? weather.icon : null // Only include valid weather icon URLs
+      icon: getIconUrl(iconId),
+      sourceIcon: weather.icon || null
     };
     
     processedWeather.set(weather.weather_id, weatherData);
     
-    if (!hasValidIcon && weather.icon) {
-      console.log(`🚫 Weather icon invalid: ${weather.weather_name} - ${weather.icon}`);
+    if (!mirroredIcons.has(iconId) && weather.icon) {
+      console.log(`🚫 Weather icon not mirrored yet: ${weather.weather_name} - ${weather.icon} (serving a placeholder)`);
     }
   }
 
@@ -914,76 +4010,273 @@ async function processWeatherData(apiResponse) {
   return processedWeather;
 }
 
-// Create mock data as fallback
-function createMockStockData() {
-  const mockItems = new Map();
-  
-  // Mock seeds data with some realistic quantities
-  const mockSeeds = {
-    "Carrot": 12, "Strawberry": 9, "Blueberry": 7, "Orange Tulip": 8, "Tomato": 5, 
-    "Corn": 6, "Daffodil": 6, "Watermelon": 6, "Pumpkin": 4, "Apple": 3, 
-    "Bamboo": 8, "Coconut": 3, "Cactus": 2, "Dragon Fruit": 1, "Mango": 4, 
-    "Grape": 5, "Mushroom": 2, "Pepper": 3, "Cacao": 4, "Beanstalk": 1, 
-    "Ember Lily": 2, "Sugar Apple": 3, "Burning Bud": 2, "Avocado": 2
-  };
-  
-  // Mock gear data
-  const mockGear = {
-    "Watering Can": 4, "Trowel": 2, "Recall Wrench": 1, "Basic Sprinkler": 2, 
-    "Advanced Sprinkler": 1, "Godly Sprinkler": 0, "Magnifying Glass": 1, 
-    "Tanning Mirror": 0, "Master Sprinkler": 0, "Cleaning Spray": 3, 
-    "Favorite Tool": 0, "Harvest Tool": 0, "Friendship Pot": 0
-  };
-  
-  // Mock eggs data
-  const mockEggs = {
-    "Common Egg": 5, "Uncommon Egg": 3, "Rare Egg": 1, "Legendary Egg": 1, 
-    "Bee Egg": 3, "Bug Egg": 2, "Common Summer Egg": 4, "Rare Summer Egg": 1, 
-    "Paradise Summer Egg": 0, "Paradise Egg": 1
+// MARK: - Stock Simulator
+
+// Generates stock, weather, Traveling Merchant and event data on the real restock cadence whenever there is
+// no upstream source (dev), or when every source fails with no stock to keep and SIMULATOR_FALLBACK=true. Each shop cycle is seeded by SIMULATOR_SEED + cycle
+// index, so every instance (and a restart) produces the same snapshot for the same cycle.
+const SIMULATOR_SEED = process.env.SIMULATOR_SEED || 'growagarden';
+const SIMULATOR_FALLBACK = process.env.SIMULATOR_FALLBACK === 'true'; // dev only: simulate when every source fails and there is no stock
+
+// Starting item pool per shop; items the catalog has seen in a shop are added, and shops from SHOP_CATEGORIES_JSON
+// or discovery are simulated from their catalog items alone
+const SIMULATED_SHOP_ITEMS = {
+  seeds: [
+    'Carrot', 'Strawberry', 'Blueberry', 'Orange Tulip', 'Tomato', 'Corn', 'Daffodil', 'Watermelon',
+    'Pumpkin', 'Apple', 'Bamboo', 'Coconut', 'Cactus', 'Dragon Fruit', 'Mango', 'Grape', 'Mushroom',
+    'Pepper', 'Cacao', 'Beanstalk', 'Ember Lily', 'Sugar Apple', 'Burning Bud', 'Avocado'
+  ],
+  gear: [
+    'Watering Can', 'Trowel', 'Recall Wrench', 'Basic Sprinkler', 'Advanced Sprinkler', 'Godly Sprinkler',
+    'Magnifying Glass', 'Tanning Mirror', 'Master Sprinkler', 'Cleaning Spray', 'Favorite Tool',
+    'Harvest Tool', 'Friendship Pot'
+  ],
+  eggs: [
+    'Common Egg', 'Uncommon Egg', 'Rare Egg', 'Legendary Egg', 'Bee Egg', 'Bug Egg',
+    'Common Summer Egg', 'Rare Summer Egg', 'Paradise Egg'
+  ],
+  cosmetic: [
+    'Sign Crate', 'Common Gnome Crate', 'Fun Crate', 'Statue Crate', 'Mini TV', 'Cooking Kit',
+    'Hay Bale', 'Bookshelf', 'Large Wood Table', 'Log Bench'
+  ]
+};
+
+const SIMULATED_MERCHANTS = {
+  'Gnome Merchant': ['Common Gnome Crate', 'Farmers Gnome Crate', 'Classic Gnome Crate', 'Iconic Gnome Crate'],
+  'Sky Merchant': ['Night Staff', 'Star Caller', 'Cloudtouched Spray', 'Sky Crate'],
+  'Honey Merchant': ['Flower Seed Pack', 'Nectarine', 'Hive Fruit', 'Honey Sprinkler', 'Bee Crate'],
+  'Summer Seed Merchant': ['Cauliflower', 'Rafflesia', 'Green Apple', 'Banana', 'Pineapple', 'Kiwi', 'Bell Pepper', 'Prickly Pear']
+};
+
+const SIMULATED_WEATHER = ['Rain', 'Thunderstorm', 'Frost', 'Heatwave', 'Windy', 'Tornado', 'Night', 'Blood Moon', 'Meteor Shower', 'Sandstorm'];
+const SIMULATED_EVENTS = ['Bizzy Bees', 'Summer Harvest', 'Lunar Glow', 'Gnome Fest', 'Ember Bloom'];
+const SIMULATED_WEATHER_SLOT_SECONDS = 15 * 60; // one roll for weather every 15 minutes
+const SIMULATED_WEATHER_CHANCE = 0.35;
+
+// Quantity range per rarity [min, max]
+const SIMULATED_QUANTITY_RANGES = {
+  'Common': [5, 15],
+  'Uncommon': [3, 8],
+  'Rare': [1, 5],
+  'Legendary': [1, 3],
+  'Mythical': [1, 2],
+  'Divine': [1, 1],
+  'Prismatic': [1, 1]
+};
+
+// Deterministic PRNG (mulberry32) seeded from a string
+function createSeededRandom(seedText) {
+  let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
-  
-  // Add all seeds (with mock quantities)
-  for (const [name, quantity] of Object.entries(mockSeeds)) {
-    mockItems.set(name, { 
-      quantity, 
-      category: 'seeds',
-      itemId: null,
-      displayName: name,
-      icon: null,
-      startDate: null,
-      endDate: null
-    });
+}
+
+function getSimulatedItemRarity(name) {
+  return resolveItemRarity({ itemId: toCatalogItemId(name), itemName: name }).rarity || getItemRarity(name);
+}
+
+// Built-in pool first, then catalog items sorted by id, so every instance rolls the same items in the same order
+function getSimulatedShopItems(category) {
+  const names = [...(SIMULATED_SHOP_ITEMS[category] || [])];
+  const knownIds = new Set(names.map(toCatalogItemId));
+  const catalogEntries = Array.from(itemCatalog.values())
+    .filter(entry => entry.category === category && entry.name && !knownIds.has(entry.itemId))
+    .sort((a, b) => a.itemId.localeCompare(b.itemId));
+  return [...names, ...catalogEntries.map(entry => entry.name)];
+}
+
+function rollSimulatedQuantity(random, rarity) {
+  const [min, max] = SIMULATED_QUANTITY_RANGES[rarity] || SIMULATED_QUANTITY_RANGES['Rare'];
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+// Stock for the current cycle of every registered shop with a restock cadence (appearance weighted by rarity)
+// plus the Traveling Merchant window
+function simulateStockData(now = new Date()) {
+  const simulatedItems = new Map();
+
+  for (const shop of getShopCategories()) {
+    const category = shop.id;
+    const names = getSimulatedShopItems(category);
+    const cycleLengthSec = getCycleLengthSeconds(category);
+    if (shop.merchant || !cycleLengthSec || names.length === 0) continue;
+    const cycleIndex = getCycleIndex(category, now);
+    const random = createSeededRandom(`${SIMULATOR_SEED}:${category}:${cycleIndex}`);
+
+    for (const name of names) {
+      const rarity = getSimulatedItemRarity(name);
+      const appearanceRate = RARITY_PRIOR_APPEARANCE_RATE[rarity] ?? RARITY_PRIOR_APPEARANCE_RATE['Rare'];
+      if (random() >= appearanceRate) continue;
+
+      simulatedItems.set(name, {
+        quantity: rollSimulatedQuantity(random, rarity),
+        category,
+        itemId: toCatalogItemId(name),
+        displayName: name,
+        ...(category === 'eggs' ? { originalName: name } : {}),
+        icon: getIconUrl(toCatalogItemId(name)),
+        startDate: cycleIndex * cycleLengthSec,
+        endDate: (cycleIndex + 1) * cycleLengthSec,
+        rarity
+      });
+    }
   }
-  
-  // Add all gear (with mock quantities)
-  for (const [name, quantity] of Object.entries(mockGear)) {
-    mockItems.set(name, { 
-      quantity, 
-      category: 'gear',
-      itemId: null,
-      displayName: name,
-      icon: null,
-      startDate: null,
-      endDate: null
-    });
+
+  // Traveling Merchant: one merchant per 4-hour window, in stock for its first 30 minutes
+  const tmWindow = getCurrentTravelingMerchantWindow(now);
+  if (tmWindow.isInWindow) {
+    const random = createSeededRandom(`${SIMULATOR_SEED}:traveling_merchant:${tmWindow.startUnix}`);
+    const merchants = Object.keys(SIMULATED_MERCHANTS);
+    const merchant = merchants[Math.floor(random() * merchants.length)];
+    for (const name of SIMULATED_MERCHANTS[merchant]) {
+      if (random() >= 0.6) continue;
+      const rarity = getSimulatedItemRarity(name);
+      simulatedItems.set(name, {
+        quantity: rollSimulatedQuantity(random, rarity),
+        category: 'traveling_merchant',
+        itemId: toCatalogItemId(name),
+        displayName: name,
+        icon: getIconUrl(toCatalogItemId(name)),
+        startDate: tmWindow.startUnix,
+        endDate: tmWindow.startUnix + 1800,
+        rarity,
+        merchant
+      });
+    }
   }
-  
-  // Add all eggs (with mock quantities)
-  for (const [name, quantity] of Object.entries(mockEggs)) {
-    mockItems.set(name, { 
-      quantity, 
-      category: 'eggs',
-      itemId: null,
-      displayName: name,
-      originalName: name,
+
+  console.log(`🎲 Simulated stock: ${simulatedItems.size} items in stock`);
+  return simulatedItems;
+}
+
+// Active weather (if any) for the current 15-minute slot, in the processed weatherData shape
+function simulateWeatherData(now = new Date()) {
+  const simulatedWeather = new Map();
+  const nowUnix = Math.floor(now.getTime() / 1000);
+  const slot = Math.floor(nowUnix / SIMULATED_WEATHER_SLOT_SECONDS);
+  const random = createSeededRandom(`${SIMULATOR_SEED}:weather:${slot}`);
+  if (random() >= SIMULATED_WEATHER_CHANCE) return simulatedWeather;
+
+  const weatherName = SIMULATED_WEATHER[Math.floor(random() * SIMULATED_WEATHER.length)];
+  const startUnix = slot * SIMULATED_WEATHER_SLOT_SECONDS + Math.floor(random() * 5) * 60;
+  const duration = (3 + Math.floor(random() * 6)) * 60;
+  if (nowUnix < startUnix || nowUnix >= startUnix + duration) return simulatedWeather;
+
+  const weatherId = toCatalogItemId(weatherName);
+  simulatedWeather.set(weatherId, {
+    weatherId,
+    weatherName,
+    active: true,
+    duration,
+    startDuration: startUnix,
+    endDuration: startUnix + duration,
+    icon: getIconUrl(getWeatherIconId(weatherId))
+  });
+  return simulatedWeather;
+}
+
+// Daily rotating event, processed like an API response (so CURRENT_EVENT_* overrides still apply)
+function simulateEventData(now = new Date()) {
+  const day = Math.floor(now.getTime() / (24 * 60 * 60 * 1000));
+  const random = createSeededRandom(`${SIMULATOR_SEED}:event:${day}`);
+  return processEventData({
+    current: {
+      name: SIMULATED_EVENTS[Math.floor(random() * SIMULATED_EVENTS.length)],
       icon: null,
-      startDate: null,
-      endDate: null
+      start: { hour: 0, minute: 0 }
+    }
+  });
+}
+
+// Per-favorite alert rule: { min_quantity, notify_only_on_increase } (defaults: any quantity, any check)
+// Keyed by item_id; the display name covers settings that have not been migrated yet
+function getFavoriteItemSettings(userData, itemId, itemName) {
+  const settings = userData.favorite_item_settings?.[itemId] || userData.favorite_item_settings?.[itemName] || {};
+  return {
+    minQuantity: Number.isInteger(settings.min_quantity) && settings.min_quantity > 0 ? settings.min_quantity : 1,
+    notifyOnlyOnIncrease: settings.notify_only_on_increase === true
+  };
+}
+
+// Rarity of a stocked item: the registry rarity captured during processing, else a registry lookup by name
+function getStockItemRarity(itemName, stockData) {
+  return stockData?.rarity || getItemRarity(itemName);
+}
+
+// Stored subscriptions default to {}; only a category list or a minimum rarity makes a user scan the whole stock
+function hasStockSubscriptionRules(subscriptions) {
+  return (Array.isArray(subscriptions?.categories) && subscriptions.categories.length > 0) || !!subscriptions?.min_rarity;
+}
+
+// Which subscription rule (if any) covers an item: { min_rarity, categories } on the user record
+function getSubscriptionMatch(userData, itemName, stockData) {
+  const subscriptions = userData.stock_subscriptions;
+  if (!hasStockSubscriptionRules(subscriptions)) return null;
+
+  if (Array.isArray(subscriptions.categories) && subscriptions.categories.includes(stockData.category)) {
+    return 'category';
+  }
+  if (subscriptions.min_rarity) {
+    const rarityTier = getRarityInfo(getStockItemRarity(itemName, stockData)).tier;
+    if (rarityTier >= getRarityInfo(subscriptions.min_rarity).tier) return 'rarity';
+  }
+  return null;
+}
+
+// Favorites and subscription-rule items in stock that pass this user's quantity thresholds
+// currentIndex/previousIndex are indexStockItems of stockItems/previousStockItems, built once per check
+function getUserStockMatches(userData, { currentIndex, previousIndex }) {
+  const candidates = new Map(); // stock item name -> matched_by
+  for (const favoriteItem of userData.favorite_items || []) {
+    const itemName = findIndexedStockItem(currentIndex, favoriteItem);
+    if (itemName) candidates.set(itemName, 'favorite');
+  }
+  if (hasStockSubscriptionRules(userData.stock_subscriptions)) {
+    for (const [itemName, stockData] of stockItems) {
+      if (candidates.has(itemName)) continue;
+      const matchedBy = getSubscriptionMatch(userData, itemName, stockData);
+      if (matchedBy) candidates.set(itemName, matchedBy);
+    }
+  }
+
+  const matchedItems = [];
+  for (const [itemName, matchedBy] of candidates) {
+    const currentData = stockItems.get(itemName);
+    const itemId = getStockItemId(itemName, currentData);
+    // Look up the previous entry by id too, so a renamed item keeps its quantity history
+    const previousData = previousStockItems.get(findIndexedStockItem(previousIndex, itemId) || itemName);
+    const currentQuantity = currentData ? currentData.quantity : 0;
+    const previousQuantity = previousData ? previousData.quantity : 0;
+    if (currentQuantity <= 0) continue;
+
+    // NEW LOGIC: Check if item should send notifications (not Common rarity)
+    // An explicit category subscription covers the whole shop, Common items included
+    const rarity = matchedBy === 'favorite' ? getItemRarity(itemName) : getStockItemRarity(itemName, currentData);
+    const notifiable = matchedBy === 'favorite' ? shouldSendNotificationForItem(itemName)
+      : matchedBy === 'category' || getRarityInfo(rarity).shouldNotify;
+    if (!notifiable) continue;
+
+    const { minQuantity, notifyOnlyOnIncrease } = getFavoriteItemSettings(userData, itemId, itemName);
+    if (currentQuantity < minQuantity) continue;
+    // Availability and restock checks both notify for ANY item in stock, unless the user asked for increases only
+    if (notifyOnlyOnIncrease && currentQuantity <= previousQuantity) continue;
+
+    matchedItems.push({
+      name: currentData.originalName || itemName,
+      itemId: itemId,
+      quantity: currentQuantity,
+      previousQuantity: previousQuantity,
+      rarity: rarity,
+      rarityEmoji: getRarityInfo(rarity).emoji,
+      matchedBy: matchedBy
     });
   }
-
-  console.log(`📊 Mock data created with ${mockItems.size} total items (including out-of-stock)`);
-  return mockItems;
+  return matchedItems;
 }
 
 // Check for stock changes and send notifications
@@ -1010,69 +4303,47 @@ async function checkStockChanges(checkAvailability = false) {
   const uniqueFavorites = [...new Set(userFavorites)];
   console.log(`🔍 ${checkType} MONITORING DEBUG: All user favorites: ${uniqueFavorites.join(', ')}`);
 
-  const restockedItems = [];
   const allChanges = [];
 
-  // Compare current stock with previous stock and debug favorites specifically
+  // Log favorite changes globally; the notify decision is made per user below
+  const currentIndex = indexStockItems(stockItems);
+  const previousIndex = indexStockItems(previousStockItems);
+  const favoriteStockNames = new Set();
   for (const favoriteItem of uniqueFavorites) {
-    const currentData = stockItems.get(favoriteItem);
-    const previousData = previousStockItems.get(favoriteItem);
+    const currentName = findIndexedStockItem(currentIndex, favoriteItem);
+    const currentData = currentName ? stockItems.get(currentName) : null;
+    const previousName = findIndexedStockItem(previousIndex, favoriteItem);
+    const previousData = previousName ? previousStockItems.get(previousName) : null;
+    if (currentName) favoriteStockNames.add(currentName);
     
     const currentQuantity = currentData ? currentData.quantity : 0;
     const previousQuantity = previousData ? previousData.quantity : 0;
     
-    // Get item rarity for notification filtering
-    const rarity = getItemRarity(favoriteItem);
+    const itemLabel = currentName || findCatalogEntry(favoriteItem)?.name || favoriteItem;
+    const rarity = getStockItemRarity(itemLabel, currentData);
     const rarityInfo = getRarityInfo(rarity);
     
     // Log ALL changes, not just 0→positive
     if (currentQuantity !== previousQuantity) {
-      allChanges.push(`${favoriteItem}: ${previousQuantity} → ${currentQuantity}`);
-    }
-    
-    console.log(`🔍 ${checkType} MONITORING DEBUG: ${favoriteItem}: ${previousQuantity} → ${currentQuantity} [${currentData?.category || 'not found'}] [${rarity} ${rarityInfo.emoji}]`);
-    
-    // NEW LOGIC: Check if item should send notifications (not Common rarity)
-    if (!shouldSendNotificationForItem(favoriteItem)) {
-      console.log(`🚫 RARITY FILTER: ${favoriteItem} is ${rarity} rarity - no notifications sent`);
-      continue;
-    }
-    
-    // MODIFIED LOGIC: Different conditions based on check type
-    let shouldNotify = false;
-    
-    if (checkAvailability) {
-      // Availability check: notify if item is currently in stock
-      shouldNotify = currentQuantity > 0;
-      if (shouldNotify) {
-        console.log(`🎯 AVAILABILITY CHECK: ${favoriteItem} is available (${currentQuantity}) - Adding to notification list`);
-      }
-    } else {
-      // Restock check: notify for ANY item in stock (not just quantity changes)
-      // This handles the scenario: user buys item, new identical item restocks
-      shouldNotify = currentQuantity > 0;
-      if (shouldNotify) {
-        console.log(`🎯 STOCK AVAILABLE: ${favoriteItem} is in stock (${currentQuantity}) - Adding to notification list`);
-      }
+      allChanges.push(`${itemLabel}: ${previousQuantity} → ${currentQuantity}`);
     }
     
-    if (shouldNotify) {
-      const displayName = currentData.originalName || favoriteItem;
-      restockedItems.push({ 
-        name: displayName, 
-        quantity: currentQuantity,
-        previousQuantity: previousQuantity,
-        rarity: rarity,
-        rarityEmoji: rarityInfo.emoji
-      });
-    } else if (currentQuantity === 0) {
-      console.log(`📉 ${checkType} MONITORING DEBUG: ${favoriteItem} went out of stock (${previousQuantity} → 0)`);
-    } else if (currentQuantity === previousQuantity && !checkAvailability) {
-      console.log(`💤 ${checkType} MONITORING DEBUG: ${favoriteItem} quantity unchanged (${currentQuantity})`);
-    } else if (!shouldNotify && checkAvailability) {
-      console.log(`📉 ${checkType} MONITORING DEBUG: ${favoriteItem} out of stock (${currentQuantity})`);
+    console.log(`🔍 ${checkType} MONITORING DEBUG: ${itemLabel} (${favoriteItem}): ${previousQuantity} → ${currentQuantity} [${currentData?.category || 'not found'}] [${rarity} ${rarityInfo.emoji}]`);
+  }
+
+  // Evaluate each user's favorites against their own thresholds
+  const userMatches = new Map(); // device_token -> matched items
+  for (const [deviceToken, userData] of users) {
+    const matchedItems = getUserStockMatches(userData, { currentIndex, previousIndex });
+    if (matchedItems.length > 0) {
+      userMatches.set(deviceToken, matchedItems);
+      console.log(`🎯 ${checkType} MONITORING DEBUG: ${deviceToken.substring(0, 10)}... matched ${matchedItems.map(item => `${item.name} (${item.quantity})`).join(', ')}`);
     }
   }
+  const matchedItemNames = new Set();
+  for (const matchedItems of userMatches.values()) {
+    matchedItems.forEach(item => matchedItemNames.add(item.name));
+  }
 
   // Log ALL stock changes for debugging
   console.log(`🔍 ${checkType} MONITORING DEBUG: Total favorite item changes detected: ${allChanges.length}`);
@@ -1096,7 +4367,7 @@ async function checkStockChanges(checkAvailability = false) {
 
     if (previousQuantity === 0 && currentQuantity > 0) {
       totalTransitions++;
-      if (!uniqueFavorites.includes(itemName)) {
+      if (!favoriteStockNames.has(itemName)) {
         console.log(`🔔 ${checkType} MONITORING DEBUG: Non-favorite ${itemName} back in stock: ${previousQuantity} → ${currentQuantity}`);
       }
     }
@@ -1104,16 +4375,16 @@ async function checkStockChanges(checkAvailability = false) {
 
   console.log(`🔍 ${checkType} MONITORING DEBUG: Total items with ANY quantity changes: ${anyItemChanges}`);
   console.log(`🔍 ${checkType} MONITORING DEBUG: Total 0→positive transitions detected: ${totalTransitions}`);
-  console.log(`🔍 ${checkType} MONITORING DEBUG: Favorited items that ${checkAvailability ? 'are available' : 'restocked'}: ${restockedItems.length}`);
+  console.log(`🔍 ${checkType} MONITORING DEBUG: Favorited items that ${checkAvailability ? 'are available' : 'restocked'}: ${matchedItemNames.size}`);
 
   if (anyItemChanges === 0 && !checkAvailability) {
     console.log(`⚠️ ${checkType} MONITORING DEBUG: No stock changes detected - API might be returning cached/identical data`);
   }
 
-  if (restockedItems.length > 0) {
-    console.log(`📬 Found ${restockedItems.length} ${checkAvailability ? 'available' : 'restocked'} favorited items, sending notifications...`);
-    console.log(`📬 ${checkType} MONITORING DEBUG: ${checkAvailability ? 'Available' : 'Restocked'} items: ${restockedItems.map(item => item.name).join(', ')}`);
-    await sendStockNotifications(restockedItems);
+  if (userMatches.size > 0) {
+    console.log(`📬 Found ${matchedItemNames.size} ${checkAvailability ? 'available' : 'restocked'} favorited items for ${userMatches.size} users, sending notifications...`);
+    console.log(`📬 ${checkType} MONITORING DEBUG: ${checkAvailability ? 'Available' : 'Restocked'} items: ${[...matchedItemNames].join(', ')}`);
+    await sendStockNotifications(userMatches);
   } else {
     console.log(`📵 ${checkType} MONITORING DEBUG: No favorited items ${checkAvailability ? 'available' : 'restocked'} - no notifications sent`);
   }
@@ -1121,11 +4392,6 @@ async function checkStockChanges(checkAvailability = false) {
 
 // Check for weather changes and send notifications
 async function checkWeatherChanges() {
-  if (users.size === 0) {
-    console.log('📵 No registered users - skipping weather change check');
-    return;
-  }
-
   const ignoredWeather = parseIgnoredWeatherTokens();
   console.log(`🌦️ WEATHER MONITORING DEBUG: Starting weather change check...`);
   console.log(`🌦️ WEATHER MONITORING DEBUG: Previous weather events: ${previousWeatherData.size}`);
@@ -1148,7 +4414,7 @@ async function checkWeatherChanges() {
         weatherName: currentWeather.weatherName,
         isActive: currentWeather.active,
         wasActive: previousWeather ? previousWeather.active : false,
-        icon: currentWeather.icon,
+        icon: getOutboundIconUrl(currentWeather),
         duration: currentWeather.duration
       };
       
@@ -1170,7 +4436,7 @@ async function checkWeatherChanges() {
         weatherName: previousWeather.weatherName,
         isActive: false,
         wasActive: true,
-        icon: previousWeather.icon,
+        icon: getOutboundIconUrl(previousWeather),
         duration: 0
       };
       
@@ -1179,7 +4445,19 @@ async function checkWeatherChanges() {
     }
   }
 
-  if (weatherChanges.length > 0) {
+  // Publish to Discord and webhook subscribers (skip the first snapshot after a restart, everything looks new)
+  if (weatherChanges.length > 0 && previousWeatherData.size > 0) {
+    publishWeatherChangesToDiscord(weatherChanges);
+
+    const started = weatherChanges.filter(change => change.isActive);
+    const ended = weatherChanges.filter(change => !change.isActive);
+    if (started.length > 0) emitWebhookEvent('weather_start', { weather: started });
+    if (ended.length > 0) emitWebhookEvent('weather_end', { weather: ended });
+  }
+
+  if (weatherChanges.length > 0 && users.size === 0) {
+    console.log('📵 No registered users - skipping weather notifications');
+  } else if (weatherChanges.length > 0) {
     console.log(`🌦️ Found ${weatherChanges.length} weather changes, sending notifications...`);
     await sendWeatherNotifications(weatherChanges);
   } else {
@@ -1189,8 +4467,8 @@ async function checkWeatherChanges() {
 
 // Send notifications for weather changes with smart favorites filtering
 async function sendWeatherNotifications(weatherChanges) {
-  if (!apnProvider) {
-    console.log('❌ APNs provider not available for weather notifications');
+  if (!isAnyNotificationChannelReady()) {
+    console.log('❌ No notification channel (APNs/FCM) available for weather notifications');
     return;
   }
 
@@ -1302,9 +4580,9 @@ async function sendWeatherNotifications(weatherChanges) {
   }
 }
 
-// Send individual weather notification
-async function sendWeatherNotification(deviceToken, weatherEvents, type) {
-  const notification = new apn.Notification();
+// Send individual weather notification (platformHint routes tokens that are not registered yet)
+async function sendWeatherNotification(deviceToken, weatherEvents, type, platformHint) {
+  const notification = createPushMessage();
   
   const weatherNames = weatherEvents.map(w => w.weatherName);
   const isActive = type === 'active';
@@ -1332,7 +4610,6 @@ async function sendWeatherNotification(deviceToken, weatherEvents, type) {
   
   notification.badge = weatherEvents.length;
   notification.sound = getUserSoundPreference(deviceToken, 'weather');
-  notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
   
   // Group weather notifications together
   notification.threadId = `weather-${type}`;
@@ -1340,7 +4617,7 @@ async function sendWeatherNotification(deviceToken, weatherEvents, type) {
 
   console.log(`🌦️ Sending weather notification to ${deviceToken.substring(0, 10)}... for ${weatherEvents.length} events`);
 
-  const result = await apnProvider.send(notification, [deviceToken]);
+  const result = await deliverUserNotification(deviceToken, notification, platformHint);
   
   if (result.sent.length > 0) {
     console.log(`✅ Sent weather notification to ${deviceToken.substring(0, 10)}...`);
@@ -1354,7 +4631,7 @@ async function sendWeatherNotification(deviceToken, weatherEvents, type) {
     // Auto-cleanup bad device tokens
     if (failure.response?.reason === 'BadDeviceToken' || failure.response?.reason === 'Unregistered') {
       console.log(`🗑️ CLEANUP: Removing invalid device token ${deviceToken.substring(0, 10)}... from users`);
-      users.delete(deviceToken);
+      await removeUser(deviceToken);
     }
   }
 }
@@ -1390,79 +4667,6 @@ function getPremiumType(itemName) {
   return 'Premium'; // fallback
 }
 
-// NEW RARITY CLASSIFICATION SYSTEM
-// Get item rarity based on comprehensive classification
-function getItemRarity(itemName) {
-  // 🌱 Common - NO notifications (always restocks)
-  const commonItems = [
-    // Seeds that are always in stock
-    'Carrot', 'Strawberry',
-    // Gear that is always in stock  
-    'Watering Can', 'Cleaning Spray', 'Trowel'
-  ];
-  
-  // 🌿 Uncommon
-  const uncommonItems = [
-    // Seeds
-    'Blueberry', 'Orange Tulip',
-    // Gear
-    'Recall Wrench'
-  ];
-  
-  // 🌸 Rare
-  const rareItems = [
-    // Seeds
-    'Tomato', 'Daffodil',
-    // Gear
-    'Basic Sprinkler'
-  ];
-  
-  // 🌟 Legendary
-  const legendaryItems = [
-    // Seeds
-    'Watermelon', 'Pumpkin', 'Apple', 'Bamboo',
-    // Gear
-    'Advanced Sprinkler'
-  ];
-  
-  // 🔥 Mythical
-  const mythicalItems = [
-    // Seeds
-    'Coconut', 'Cactus', 'Dragon Fruit', 'Mango',
-    // Gear
-    'Godly Sprinkler', 'Magnifying Glass', 'Tanning Mirror'
-  ];
-  
-  // ✨ Divine
-  const divineItems = [
-    // Seeds
-    'Grape', 'Mushroom', 'Pepper', 'Cacao',
-    // Gear
-    'Master Sprinkler', 'Favorite Tool', 'Harvest Tool', 'Friendship Pot'
-  ];
-  
-  // 🌈 Prismatic
-  const prismaticItems = [
-    // Seeds only
-    'Beanstalk', 'Ember Lily', 'Sugar Apple', 'Burning Bud'
-  ];
-  
-  // Check rarity
-  if (commonItems.includes(itemName)) return 'Common';
-  if (uncommonItems.includes(itemName)) return 'Uncommon';
-  if (rareItems.includes(itemName)) return 'Rare';
-  if (legendaryItems.includes(itemName)) return 'Legendary';
-  if (mythicalItems.includes(itemName)) return 'Mythical';
-  if (divineItems.includes(itemName)) return 'Divine';
-  if (prismaticItems.includes(itemName)) return 'Prismatic';
-  
-  // 🆕 NEW: Log unknown items for future classification
-  console.log(`⚠️ UNKNOWN ITEM RARITY: '${itemName}' - defaulting to Rare (will send notifications)`);
-  console.log(`💡 Consider adding '${itemName}' to appropriate rarity tier in server.js getItemRarity()`);
-  
-  return 'Rare'; // Default to Rare for new items so they get notifications
-}
-
 // Get rarity emoji and info
 function getRarityInfo(rarity) {
   const rarityMap = {
@@ -1556,27 +4760,12 @@ function getItemEmoji(itemName) {
   
   // Fallback emojis by category
   const stockData = stockItems.get(itemName);
-  if (stockData) {
-    if (stockData.category === 'seeds') return '🌱';
-    if (stockData.category === 'gear') return '⚙️';
-    if (stockData.category === 'eggs') return '🥚';
-    if (stockData.category === 'cosmetic') return '🎨';
-  }
-  
-  return '📦'; // Default fallback
+  return getCategoryEmoji(stockData?.category); // 📦 when unknown
 }
 
 // NEW: Get category emoji for titles
 function getCategoryEmoji(category) {
-  const categoryMap = {
-    'seeds': '🌱',
-    'gear': '⚙️',
-    'eggs': '🥚',
-    'cosmetic': '🎨',
-    'traveling_merchant': '🛒'
-  };
-  
-  return categoryMap[category] || '📦';
+  return getShopCategory(category)?.emoji || '📦';
 }
 
 // Helper: Get emoji for merchant name
@@ -1613,17 +4802,27 @@ function formatTMItemList(items, maxItems = 6) {
   return `${shown} +${parts.length - maxItems} more`;
 }
 
-// Send Traveling Merchant availability notifications
+// Devices this instance already alerted (or found claimed) in the current window, so later polls skip their dedup query
+let travelingMerchantAlertedDevices = { windowStartUnix: null, devices: new Set() };
+
+// Send Traveling Merchant availability notifications; returns how many devices were sent an alert
 async function sendTravelingMerchantNotifications(tmItems) {
-  if (!apnProvider) {
-    console.log('❌ APNs provider not available for TM notifications');
-    return;
+  if (!isAnyNotificationChannelReady()) {
+    console.log('❌ No notification channel (APNs/FCM) available for TM notifications');
+    return 0;
   }
-  if (!Array.isArray(tmItems) || tmItems.length === 0) return;
+  if (!Array.isArray(tmItems) || tmItems.length === 0) return 0;
 
   // Window-based dedup per user
   const tmWindow = getCurrentTravelingMerchantWindow(new Date());
-  const dedupeKey = `tm-${tmWindow.startUnix}`;
+  const dedupeKey = 'traveling_merchant';
+  const cycleKey = `tm:${tmWindow.startUnix}`;
+  const dedupTtlMs = getCycleLengthSeconds('traveling_merchant') * 2 * 1000;
+  if (travelingMerchantAlertedDevices.windowStartUnix !== tmWindow.startUnix) {
+    travelingMerchantAlertedDevices = { windowStartUnix: tmWindow.startUnix, devices: new Set() };
+  }
+  const alertedDevices = travelingMerchantAlertedDevices.devices;
+  let sentCount = 0;
 
   const merchantName = normalizeMerchantName(tmItems[0]?.merchant || 'Traveling Merchant');
   const emoji = getMerchantEmoji(merchantName);
@@ -1633,21 +4832,17 @@ async function sendTravelingMerchantNotifications(tmItems) {
   for (const [deviceToken, userData] of users) {
     const tmEnabled = userData.travelingMerchantSettings?.enabled ?? true;
     const notifEnabled = userData.notification_settings?.enabled !== false;
-    if (!tmEnabled || !notifEnabled) continue;
+    if (!tmEnabled || !notifEnabled || alertedDevices.has(deviceToken)) continue;
 
-    // Per-user, per-window deduplication (send only once each window)
-    const now = Date.now();
-    if (!recentNotifications.has(deviceToken)) {
-      recentNotifications.set(deviceToken, new Map());
-    }
-    const userNotifications = recentNotifications.get(deviceToken);
-    if (userNotifications.has(dedupeKey)) {
+    // Per-user, per-window deduplication (send only once each window, across restarts and instances)
+    if (!(await claimNotification(deviceToken, dedupeKey, cycleKey, dedupTtlMs))) {
       // Already sent for this window
+      alertedDevices.add(deviceToken);
       continue;
     }
 
     try {
-      const notification = new apn.Notification();
+      const notification = createPushMessage();
       notification.alert = { title, body };
       notification.payload = {
         type: 'traveling_merchant',
@@ -1657,25 +4852,29 @@ async function sendTravelingMerchantNotifications(tmItems) {
       };
       notification.badge = tmItems.length;
       notification.sound = getUserSoundPreference(deviceToken, 'stock');
-      notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
       notification.threadId = 'traveling-merchant';
       notification.category = 'TRAVELING_MERCHANT';
 
-      const result = await apnProvider.send(notification, [deviceToken]);
+      const result = await deliverUserNotification(deviceToken, notification);
       if (result.failed.length > 0) {
         const failure = result.failed[0];
         if (failure.response?.reason === 'BadDeviceToken' || failure.response?.reason === 'Unregistered') {
-          users.delete(deviceToken);
+          await removeUser(deviceToken);
         }
       }
-      if (result.sent && result.sent.length > 0) {
-        // Mark as sent for this window only on success
-        userNotifications.set(dedupeKey, now);
+      if (!(result.sent && result.sent.length > 0) && !result.suppressed) {
+        // Keep the window claimed only on success (or when quiet hours/digests handled it)
+        await releaseNotification(deviceToken, dedupeKey, cycleKey);
+      } else {
+        alertedDevices.add(deviceToken);
+        if (result.sent?.length > 0) sentCount++;
       }
     } catch (e) {
       console.log('❌ TM notification error:', e.message);
+      await releaseNotification(deviceToken, dedupeKey, cycleKey);
     }
   }
+  return sentCount;
 }
 
 // NEW: Format item with quantity and emoji
@@ -1707,21 +4906,23 @@ function shouldSendNotificationForItem(itemName) {
   return rarityInfo.shouldNotify;
 }
 
-// Send notifications for restocked items
-async function sendStockNotifications(restockedItems) {
-  if (!apnProvider) {
-    console.log('❌ APNs provider not available');
+// Send notifications for restocked items (userMatches: device_token -> items matched for that user)
+async function sendStockNotifications(userMatches) {
+  if (!isAnyNotificationChannelReady()) {
+    console.log('❌ No notification channel (APNs/FCM) available');
     return;
   }
 
-  console.log(`🔍 DEBUG: Checking notifications for ${restockedItems.length} restocked items`);
-  console.log(`🔍 DEBUG: Restocked items:`, restockedItems.map(item => item.name));
+  console.log(`🔍 DEBUG: Checking notifications for ${userMatches.size} users with matched items`);
   console.log(`🔍 DEBUG: Total registered users: ${users.size}`);
 
   const notificationsSent = [];
 
   // Group notifications by user
-  for (const [deviceToken, userData] of users) {
+  for (const [deviceToken, restockedItems] of userMatches) {
+    const userData = users.get(deviceToken);
+    if (!userData) continue;
+
     console.log(`🔍 DEBUG: Checking user ${deviceToken.substring(0, 10)}...`);
     console.log(`🔍 DEBUG: User favorites:`, userData.favorite_items);
     console.log(`🔍 DEBUG: Notifications enabled:`, userData.notification_settings?.enabled);
@@ -1731,29 +4932,29 @@ async function sendStockNotifications(restockedItems) {
       continue;
     }
 
-    // Find restocked items that user has favorited and add category info
+    // Add category info to the items matched for this user
     const userRestockedItems = restockedItems
-      .filter(item => userData.favorite_items?.includes(item.name))
       .map(item => {
         // Get category from stockItems
         const stockData = stockItems.get(item.name);
         return {
           ...item,
           category: stockData?.category || 'unknown',
-          rarity: getItemRarity(item.name) // Use new rarity system
+          rarity: item.rarity || getItemRarity(item.name) // Use new rarity system
         };
       });
 
-    console.log(`🔍 DEBUG: User restocked items:`, userRestockedItems.map(item => `${item.name} [${item.category}${item.rarity === 'Common' ? '' : ' - ' + item.rarity}]`));
+    console.log(`🔍 DEBUG: User restocked items:`, userRestockedItems.map(item => `${item.name} [${item.category}${item.rarity === 'Common' ? '' : ' - ' + item.rarity}${item.matchedBy === 'favorite' ? '' : ' via ' + item.matchedBy}]`));
 
     if (userRestockedItems.length === 0) {
       console.log(`📵 DEBUG: No matching favorites for ${deviceToken.substring(0, 10)}...`);
       continue;
     }
 
-    // Separate premium seeds from regular items
-    const premiumSeeds = userRestockedItems.filter(item => item.rarity === 'Common'); // Changed to Common rarity
-    const regularItems = userRestockedItems.filter(item => item.rarity !== 'Common'); // Changed to not Common rarity
+    // Separate premium seeds from regular items (Common items from a category subscription go out with their category)
+    const isPremiumSeed = item => item.rarity === 'Common' && item.matchedBy !== 'category';
+    const premiumSeeds = userRestockedItems.filter(isPremiumSeed); // Changed to Common rarity
+    const regularItems = userRestockedItems.filter(item => !isPremiumSeed(item)); // Changed to not Common rarity
 
     // Send individual notifications for premium seeds
     for (const premiumSeed of premiumSeeds) {
@@ -1801,6 +5002,10 @@ async function sendStockNotifications(restockedItems) {
 
 // Determine item category for banner images
 function getItemCategory(itemName) {
+  // Items we have seen in a shop keep that shop's category
+  const knownCategory = stockItems.get(itemName)?.category || itemCycleStats.get(itemName)?.category;
+  if (knownCategory) return knownCategory;
+  
   const name = itemName.toLowerCase();
   
   // Gear items
@@ -1864,34 +5069,16 @@ async function sendCategoryNotification(deviceToken, category, items) {
   const itemNames = items.map(item => item.name).sort().join(',');
   const deduplicationKey = `${category}-${itemNames}`;
   
-  // Check for recent duplicate
-  const now = Date.now();
-  const windowMs = getCategoryDedupWindowMs(category);
-  if (!recentNotifications.has(deviceToken)) {
-    recentNotifications.set(deviceToken, new Map());
-  }
-  
-  const userNotifications = recentNotifications.get(deviceToken);
-  const lastSent = userNotifications.get(deduplicationKey);
-  
-  if (lastSent && (now - lastSent) < windowMs) {
-    const timeSince = Math.floor((now - lastSent) / 1000);
-    console.log(`🚫 DUPLICATE BLOCKED: ${category} notification for ${deviceToken.substring(0, 10)}... already sent ${timeSince}s ago`);
+  // Claim this restock cycle (shared across restarts and instances when PostgreSQL is configured)
+  const cycleKey = getDedupCycleKey(category);
+  const cycleLengthSec = getCycleLengthSeconds(category);
+  const dedupTtlMs = 2 * (cycleLengthSec ? cycleLengthSec * 1000 : getCategoryDedupWindowMs(category));
+  if (!(await claimNotification(deviceToken, deduplicationKey, cycleKey, dedupTtlMs))) {
+    console.log(`🚫 DUPLICATE BLOCKED: ${category} notification for ${deviceToken.substring(0, 10)}... already sent this cycle (${cycleKey})`);
     return;
   }
   
-  // Clean up old entries (older than 2x deduplication window)
-  const cutoffTime = now - (windowMs * 2);
-  for (const [key, timestamp] of userNotifications.entries()) {
-    if (timestamp < cutoffTime) {
-      userNotifications.delete(key);
-    }
-  }
-  
-  // Record this notification
-  userNotifications.set(deduplicationKey, now);
-  
-  const notification = new apn.Notification();
+  const notification = createPushMessage();
   
   // NEW UX: Get category emoji and create modern title
   const categoryEmoji = getCategoryEmoji(category);
@@ -1914,7 +5101,6 @@ async function sendCategoryNotification(deviceToken, category, items) {
   // Professional notification enhancements
   notification.badge = items.length;
   notification.sound = getUserSoundPreference(deviceToken, 'stock');
-  notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
   
   // Add thread identifier for grouping related notifications
   notification.threadId = `stock-${categoryName.toLowerCase()}`;
@@ -1923,11 +5109,11 @@ async function sendCategoryNotification(deviceToken, category, items) {
   notification.category = `STOCK_ALERT_${categoryName.toUpperCase()}`;
 
   console.log(`📨 NEW UX: Sending ${categoryName} notification to ${deviceToken.substring(0, 10)}... for items: ${items.map(item => item.name).join(', ')}`);
+  console.log(`🔍 DEBUG: Channel: ${getDeviceChannel(deviceToken).name}`);
   console.log(`🔍 DEBUG: APNs Environment: ${process.env.APNS_PRODUCTION === 'true' ? 'Production' : 'Development'}`);
-  console.log(`🔍 DEBUG: Bundle ID: ${notification.topic}`);
   console.log(`🔍 DEBUG: Device Token: ${deviceToken.substring(0, 20)}...`);
 
-  const result = await apnProvider.send(notification, [deviceToken]);
+  const result = await deliverUserNotification(deviceToken, notification);
   
   if (result.sent.length > 0) {
     console.log(`✅ Sent modern ${categoryName} notification to ${deviceToken.substring(0, 10)}... for ${items.length} items`);
@@ -1942,14 +5128,14 @@ async function sendCategoryNotification(deviceToken, category, items) {
     // Auto-cleanup bad device tokens
     if (failure.response?.reason === 'BadDeviceToken' || failure.response?.reason === 'Unregistered') {
       console.log(`🗑️ CLEANUP: Removing invalid device token ${deviceToken.substring(0, 10)}... from users`);
-      users.delete(deviceToken);
+      await removeUser(deviceToken);
     }
   }
 }
 
 // Send notification for a specific premium seed
 async function sendPremiumSeedNotification(deviceToken, item) {
-  const notification = new apn.Notification();
+  const notification = createPushMessage();
   const rarity = getItemRarity(item.name);
   const rarityInfo = getRarityInfo(rarity);
   
@@ -1971,7 +5157,6 @@ async function sendPremiumSeedNotification(deviceToken, item) {
   // Professional notification enhancements
   notification.badge = 1;
   notification.sound = getUserSoundPreference(deviceToken, 'stock');
-  notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
   
   // Group premium notifications together
   notification.threadId = `premium-${rarity.toLowerCase()}`;
@@ -1979,41 +5164,615 @@ async function sendPremiumSeedNotification(deviceToken, item) {
 
   console.log(`📨 NEW UX: Sending Ultra-Rare notification to ${deviceToken.substring(0, 10)}... for ${item.name}`);
 
-  const result = await apnProvider.send(notification, [deviceToken]);
+  const result = await deliverUserNotification(deviceToken, notification);
+
+  if (result.sent.length > 0) {
+    console.log(`✅ Sent modern Ultra-Rare notification to ${deviceToken.substring(0, 10)}... for ${item.name}`);
+  }
+  if (result.failed.length > 0) {
+    console.log(`❌ Failed to send Ultra-Rare notification to ${deviceToken.substring(0, 10)}...: ${result.failed[0].error}`);
+    console.log(`❌ DEBUG: Full failure result:`, result.failed[0]);
+  }
+}
+
+// MARK: - Discord Webhook Publisher
+
+// Embed colors per rarity (Discord expects a decimal RGB integer)
+const DISCORD_RARITY_COLORS = {
+  'Common': 0x9E9E9E,
+  'Uncommon': 0x4CAF50,
+  'Rare': 0x2196F3,
+  'Legendary': 0xFFC107,
+  'Mythical': 0x9C27B0,
+  'Divine': 0xFF9800,
+  'Prismatic': 0xE91E63
+};
+const DISCORD_MAX_EMBEDS_PER_MESSAGE = 10;
+
+// Parse Discord webhook channels from environment variables
+// DISCORD_WEBHOOKS: JSON array of { name, url, events, categories, min_rarity, items }
+// DISCORD_WEBHOOK_URL: single channel that receives every event (no filters)
+function parseDiscordWebhooks() {
+  const webhooks = [];
+
+  const raw = process.env.DISCORD_WEBHOOKS || '';
+  if (raw.trim()) {
+    try {
+      const parsed = JSON.parse(raw);
+      for (const [index, entry] of (Array.isArray(parsed) ? parsed : []).entries()) {
+        if (!entry || !entry.url) continue;
+        webhooks.push({
+          name: entry.name || `webhook-${index + 1}`,
+          url: entry.url,
+          events: Array.isArray(entry.events) ? entry.events : ['stock', 'weather', 'traveling_merchant'],
+          categories: Array.isArray(entry.categories) ? entry.categories : null,
+          minRarity: entry.min_rarity || null,
+          items: Array.isArray(entry.items) ? entry.items.map(item => String(item).toLowerCase()) : null
+        });
+      }
+    } catch (error) {
+      console.log('⚠️ Failed to parse DISCORD_WEBHOOKS (expected JSON array):', error.message);
+    }
+  }
+
+  if (process.env.DISCORD_WEBHOOK_URL) {
+    webhooks.push({
+      name: 'default',
+      url: process.env.DISCORD_WEBHOOK_URL,
+      events: ['stock', 'weather', 'traveling_merchant'],
+      categories: null,
+      minRarity: null,
+      items: null
+    });
+  }
+
+  return webhooks;
+}
+
+// Parsed once at startup; the environment does not change while the process runs
+const discordWebhooks = parseDiscordWebhooks();
+
+// Check whether a stock item passes a webhook channel's filters
+function discordWebhookAcceptsItem(webhook, item) {
+  if (webhook.categories && !webhook.categories.includes(item.category)) return false;
+  if (webhook.minRarity) {
+    const minTier = getRarityInfo(webhook.minRarity).tier;
+    if (getRarityInfo(item.rarity).tier < minTier) return false;
+  }
+  if (webhook.items) {
+    const name = String(item.name || '').toLowerCase();
+    const itemId = String(item.itemId || '').toLowerCase();
+    if (!webhook.items.includes(name) && !webhook.items.includes(itemId)) return false;
+  }
+  return true;
+}
+
+// Build a rich embed for a single stock item
+function buildDiscordItemEmbed(item, titlePrefix) {
+  const rarityInfo = getRarityInfo(item.rarity);
+  const embed = {
+    title: `${titlePrefix} ${item.name}`,
+    color: DISCORD_RARITY_COLORS[item.rarity] || DISCORD_RARITY_COLORS['Rare'],
+    fields: [
+      { name: 'Quantity', value: `x${item.quantity}`, inline: true },
+      { name: 'Rarity', value: `${rarityInfo.emoji} ${item.rarity || 'Unknown'}`, inline: true },
+      { name: 'Category', value: `${getCategoryEmoji(item.category)} ${item.category}`, inline: true }
+    ],
+    timestamp: new Date().toISOString()
+  };
+  if (item.icon) {
+    embed.thumbnail = { url: item.icon };
+  }
+  if (item.endDate) {
+    embed.footer = { text: 'In stock until' };
+    embed.timestamp = new Date(item.endDate * 1000).toISOString();
+  }
+  return embed;
+}
+
+// POST embeds to one webhook, chunked to Discord's per-message limit, honoring 429 retry_after once
+async function postDiscordEmbeds(webhook, embeds, content) {
+  for (let i = 0; i < embeds.length; i += DISCORD_MAX_EMBEDS_PER_MESSAGE) {
+    const body = JSON.stringify({
+      username: process.env.DISCORD_WEBHOOK_USERNAME || 'GAG Stocks',
+      avatar_url: process.env.DISCORD_CHANNEL_PROFILE_PNG_URL || undefined,
+      content: i === 0 ? content : undefined,
+      embeds: embeds.slice(i, i + DISCORD_MAX_EMBEDS_PER_MESSAGE)
+    });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        timeout: 10000
+      });
+
+      if (response.status === 429 && attempt === 0) {
+        const data = await response.json().catch(() => ({}));
+        const retryAfterMs = Math.ceil((data.retry_after || 1) * 1000);
+        console.log(`⏳ Discord rate limited on ${webhook.name}, retrying in ${retryAfterMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+        continue;
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      break;
+    }
+  }
+}
+
+// Send embeds to every webhook subscribed to an event type (fire-and-forget from the monitoring loop)
+function publishToDiscord(eventType, buildMessage) {
+  const webhooks = discordWebhooks.filter(webhook => webhook.events.includes(eventType));
+  if (webhooks.length === 0) return;
+
+  if (upstreamReplay) {
+    console.log(`⏯️ Replay: Discord ${eventType} post to ${webhooks.length} webhooks not sent`);
+    return;
+  }
+
+  for (const webhook of webhooks) {
+    const message = buildMessage(webhook);
+    if (!message || message.embeds.length === 0) continue;
+
+    postDiscordEmbeds(webhook, message.embeds, message.content)
+      .then(() => console.log(`💬 Discord ${eventType} post sent to ${webhook.name} (${message.embeds.length} embeds)`))
+      .catch(error => console.log(`❌ Discord ${eventType} post to ${webhook.name} failed: ${error.message}`));
+  }
+}
+
+// Publish restocked items (entries from diffStockSnapshots)
+function publishStockChangesToDiscord(restockEntries) {
+  if (restockEntries.length === 0) return;
+
+  const items = restockEntries.map(entry => {
+    const stockData = stockItems.get(entry.item_name) || {};
+    return {
+      name: entry.item_name,
+      itemId: entry.item_id,
+      category: entry.category,
+      quantity: entry.quantity,
+      rarity: entry.rarity || getItemRarity(entry.item_name),
+      icon: getOutboundIconUrl(stockData),
+      endDate: entry.end_date_unix
+    };
+  });
+
+  publishToDiscord('stock', webhook => {
+    const accepted = items.filter(item => discordWebhookAcceptsItem(webhook, item));
+    return {
+      content: accepted.length > 0 ? `📦 **${accepted.length} item${accepted.length === 1 ? '' : 's'} restocked**` : null,
+      embeds: accepted.map(item => buildDiscordItemEmbed(item, getItemEmoji(item.name)))
+    };
+  });
+}
+
+// Publish weather start/end changes (from checkWeatherChanges)
+function publishWeatherChangesToDiscord(weatherChanges) {
+  publishToDiscord('weather', () => ({
+    content: null,
+    embeds: weatherChanges.map(change => {
+      const embed = {
+        title: `🌦️ ${change.weatherName} ${change.isActive ? 'Started' : 'Ended'}`,
+        description: change.isActive && change.duration ? `Lasts about ${Math.round(change.duration / 60)} minutes.` : undefined,
+        color: change.isActive ? 0x3498DB : 0x95A5A6,
+        timestamp: new Date().toISOString()
+      };
+      if (change.icon) {
+        embed.thumbnail = { url: change.icon };
+      }
+      return embed;
+    })
+  }));
+}
+
+// Publish a Traveling Merchant arrival (once per TM window)
+function publishTravelingMerchantToDiscord(tmItems) {
+  if (!Array.isArray(tmItems) || tmItems.length === 0) return;
+
+  const merchantName = normalizeMerchantName(tmItems[0]?.merchant || 'Traveling Merchant');
+  const items = tmItems.map(item => ({
+    name: item.displayName || item.name,
+    itemId: item.itemId,
+    category: 'traveling_merchant',
+    quantity: item.quantity || 0,
+    rarity: item.rarity || getItemRarity(item.displayName || item.name),
+    icon: getOutboundIconUrl(item),
+    endDate: item.endDate
+  }));
+
+  publishToDiscord('traveling_merchant', webhook => {
+    const accepted = items.filter(item => discordWebhookAcceptsItem({ ...webhook, categories: null }, item));
+    return {
+      content: accepted.length > 0 ? `${getMerchantEmoji(merchantName)} **${merchantName} arrived!**` : null,
+      embeds: accepted.map(item => buildDiscordItemEmbed(item, '🛒'))
+    };
+  });
+}
+
+// MARK: - Outbound Webhooks
+
+// Event types third-party subscribers can register for
+const WEBHOOK_EVENT_TYPES = ['stock_change', 'weather_start', 'weather_end', 'traveling_merchant_arrival', 'event_reminder'];
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const WEBHOOK_BASE_RETRY_MS = 30 * 1000; // 30s, 2m, 8m, 32m, then capped at 1h
+const WEBHOOK_MAX_RETRY_MS = 60 * 60 * 1000;
+const WEBHOOK_DELIVERY_LOG_LIMIT = 500; // completed deliveries kept in memory
+const WEBHOOK_MAX_SUBSCRIPTIONS = parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS || '100');
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '7');
+
+// Loopback, private, link-local and other non-routable ranges webhooks may never target
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+let webhookSubscriptions = new Map(); // id -> { id, url, events, secret, description, active, createdAt }
+let webhookDeliveries = new Map(); // id -> delivery (pending + recent completed)
+let lastEventReminderWebhookKey = null; // avoid re-sending the same reminder on consecutive polls
+
+// Load subscriptions after a restart (pending deliveries are loaded by the leader, see loadPendingWebhookDeliveries)
+async function loadWebhookSubscriptions() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const subscriptions = await dbPool.query('SELECT id, url, events, secret, description, active, created_at FROM webhook_subscriptions');
+    webhookSubscriptions = new Map();
+    for (const row of subscriptions.rows) {
+      webhookSubscriptions.set(row.id, {
+        id: row.id,
+        url: row.url,
+        events: row.events,
+        secret: row.secret,
+        description: row.description,
+        active: row.active,
+        createdAt: new Date(row.created_at).toISOString()
+      });
+    }
+
+    console.log(`🪝 Loaded ${webhookSubscriptions.size} webhook subscriptions`);
+  } catch (error) {
+    console.error('❌ Failed to load webhook subscriptions:', error.message);
+  }
+}
+
+// Only the leader retries deliveries; it picks up the pending ones when it takes over
+async function loadPendingWebhookDeliveries() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const pending = await dbPool.query(
+      `SELECT id, subscription_id, event_type, payload, attempts, next_attempt_at, created_at
+       FROM webhook_deliveries WHERE status = 'pending'`
+    );
+    for (const row of pending.rows) {
+      webhookDeliveries.set(row.id, {
+        id: row.id,
+        subscriptionId: row.subscription_id,
+        eventType: row.event_type,
+        payload: row.payload,
+        status: 'pending',
+        attempts: row.attempts,
+        responseStatus: null,
+        lastError: null,
+        nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).getTime() : Date.now(),
+        createdAt: new Date(row.created_at).toISOString(),
+        deliveredAt: null
+      });
+    }
+
+    console.log(`🪝 Loaded ${pending.rows.length} pending webhook deliveries`);
+  } catch (error) {
+    console.error('❌ Failed to load pending webhook deliveries:', error.message);
+  }
+}
+
+async function saveWebhookSubscription(subscription) {
+  if (!isDatabaseReady) return;
+
+  try {
+    await dbPool.query(
+      `INSERT INTO webhook_subscriptions (id, url, events, secret, description, active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (id) DO UPDATE SET
+         url = EXCLUDED.url,
+         events = EXCLUDED.events,
+         description = EXCLUDED.description,
+         active = EXCLUDED.active,
+         updated_at = NOW()`,
+      [subscription.id, subscription.url, JSON.stringify(subscription.events), subscription.secret, subscription.description, subscription.active]
+    );
+  } catch (error) {
+    console.error(`❌ Failed to persist webhook subscription ${subscription.id}:`, error.message);
+  }
+}
+
+async function deleteWebhookSubscription(id) {
+  webhookSubscriptions.delete(id);
+  for (const [deliveryId, delivery] of webhookDeliveries) {
+    if (delivery.subscriptionId === id) webhookDeliveries.delete(deliveryId);
+  }
+
+  if (!isDatabaseReady) return;
+
+  try {
+    await dbPool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+  } catch (error) {
+    console.error(`❌ Failed to delete webhook subscription ${id}:`, error.message);
+  }
+}
+
+async function saveWebhookDelivery(delivery) {
+  if (!isDatabaseReady) return;
+
+  try {
+    await dbPool.query(
+      `INSERT INTO webhook_deliveries (id, subscription_id, event_type, payload, status, attempts, response_status, last_error, next_attempt_at, created_at, delivered_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (id) DO UPDATE SET
+         status = EXCLUDED.status,
+         attempts = EXCLUDED.attempts,
+         response_status = EXCLUDED.response_status,
+         last_error = EXCLUDED.last_error,
+         next_attempt_at = EXCLUDED.next_attempt_at,
+         delivered_at = EXCLUDED.delivered_at`,
+      [
+        delivery.id, delivery.subscriptionId, delivery.eventType, JSON.stringify(delivery.payload), delivery.status,
+        delivery.attempts, delivery.responseStatus, delivery.lastError,
+        delivery.status === 'pending' ? new Date(delivery.nextAttemptAt).toISOString() : null,
+        delivery.createdAt, delivery.deliveredAt
+      ]
+    );
+  } catch (error) {
+    console.error(`❌ Failed to persist webhook delivery ${delivery.id}:`, error.message);
+  }
+}
+
+// HMAC-SHA256 signature over "<timestamp>.<body>" (subscribers verify with their secret)
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Exponential backoff with up to 20% jitter
+function getWebhookRetryDelayMs(attempts) {
+  const base = Math.min(WEBHOOK_MAX_RETRY_MS, WEBHOOK_BASE_RETRY_MS * Math.pow(4, attempts - 1));
+  return base + Math.floor(Math.random() * base * 0.2);
+}
+
+// Make one delivery attempt and schedule a retry on failure
+async function attemptWebhookDelivery(delivery) {
+  const subscription = webhookSubscriptions.get(delivery.subscriptionId);
+  if (!subscription || delivery.inFlight) return;
+
+  delivery.inFlight = true;
+  delivery.attempts++;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    await assertPublicWebhookTarget(subscription.url);
+
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GrowAGarden-Webhooks/1.0',
+        'X-GAG-Event': delivery.eventType,
+        'X-GAG-Delivery': delivery.id,
+        'X-GAG-Signature': `t=${timestamp},v1=${signWebhookPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      timeout: 10000,
+      redirect: 'manual',
+      agent: parsedUrl => webhookAgents[parsedUrl.protocol]
+    });
+
+    delivery.responseStatus = response.status;
+    if (response.ok) {
+      delivery.status = 'succeeded';
+      delivery.lastError = null;
+      delivery.deliveredAt = new Date().toISOString();
+    } else {
+      delivery.lastError = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.lastError = error.message;
+  }
+
+  if (delivery.status !== 'succeeded') {
+    if (delivery.attempts >= (delivery.maxAttempts || WEBHOOK_MAX_ATTEMPTS)) {
+      delivery.status = 'failed';
+      console.log(`❌ Webhook ${delivery.eventType} to ${subscription.id} failed permanently after ${delivery.attempts} attempts (${delivery.lastError})`);
+    } else {
+      delivery.nextAttemptAt = Date.now() + getWebhookRetryDelayMs(delivery.attempts);
+      console.log(`🔁 Webhook ${delivery.eventType} to ${subscription.id} failed (${delivery.lastError}), retry #${delivery.attempts} at ${new Date(delivery.nextAttemptAt).toISOString()}`);
+    }
+  }
+
+  delivery.inFlight = false;
+  await saveWebhookDelivery(delivery);
+  pruneWebhookDeliveryLog();
+}
+
+// Keep only the most recent completed deliveries in memory (full log lives in PostgreSQL)
+function pruneWebhookDeliveryLog() {
+  const completed = Array.from(webhookDeliveries.values()).filter(d => d.status !== 'pending');
+  if (completed.length <= WEBHOOK_DELIVERY_LOG_LIMIT) return;
+
+  completed
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, completed.length - WEBHOOK_DELIVERY_LOG_LIMIT)
+    .forEach(delivery => webhookDeliveries.delete(delivery.id));
+}
+
+// Check a resolved address against the blocked ranges (BlockList matches IPv4-mapped IPv6 against the IPv4 ranges)
+function isBlockedWebhookAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolve the webhook host and throw if any of its addresses is loopback, private or link-local
+async function assertPublicWebhookTarget(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+
+  const blocked = addresses.find(entry => isBlockedWebhookAddress(entry.address));
+  if (blocked) {
+    throw new Error(`Blocked webhook target ${hostname} (${blocked.address} is not a public address)`);
+  }
+}
+
+// Re-check addresses when the socket connects, so a DNS change after the check above can't redirect a delivery
+function lookupPublicWebhookAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isBlockedWebhookAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Blocked webhook target ${hostname} (${blocked.address} is not a public address)`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgents = {
+  'http:': new http.Agent({ lookup: lookupPublicWebhookAddress }),
+  'https:': new https.Agent({ lookup: lookupPublicWebhookAddress })
+};
+
+// Delete delivered and permanently failed rows older than the retention window
+async function pruneWebhookDeliveries() {
+  if (!isDatabaseReady) return;
+
+  try {
+    const result = await dbPool.query(
+      `DELETE FROM webhook_deliveries
+       WHERE status IN ('succeeded', 'failed') AND created_at < NOW() - ($1::int * INTERVAL '1 day')`,
+      [WEBHOOK_DELIVERY_RETENTION_DAYS]
+    );
+    if (result.rowCount > 0) {
+      console.log(`🧹 Pruned ${result.rowCount} webhook deliveries older than ${WEBHOOK_DELIVERY_RETENTION_DAYS} days`);
+    }
+  } catch (error) {
+    console.log('❌ Error pruning webhook deliveries:', error.message);
+  }
+}
+
+// Retry loop for deliveries whose backoff has elapsed
+async function processDueWebhookDeliveries() {
+  const now = Date.now();
+  for (const delivery of webhookDeliveries.values()) {
+    if (delivery.status === 'pending' && !delivery.inFlight && delivery.nextAttemptAt <= now) {
+      await attemptWebhookDelivery(delivery);
+    }
+  }
+}
+
+// Queue an event for every active subscriber and attempt delivery right away
+function emitWebhookEvent(eventType, data) {
+  const subscribers = Array.from(webhookSubscriptions.values()).filter(sub => sub.active && sub.events.includes(eventType));
+  if (subscribers.length === 0) return;
 
-  if (result.sent.length > 0) {
-    console.log(`✅ Sent modern Ultra-Rare notification to ${deviceToken.substring(0, 10)}... for ${item.name}`);
+  if (upstreamReplay) {
+    console.log(`⏯️ Replay: ${eventType} webhook for ${subscribers.length} subscribers not sent`);
+    return;
   }
-  if (result.failed.length > 0) {
-    console.log(`❌ Failed to send Ultra-Rare notification to ${deviceToken.substring(0, 10)}...: ${result.failed[0].error}`);
-    console.log(`❌ DEBUG: Full failure result:`, result.failed[0]);
+
+  const createdAt = new Date().toISOString();
+  for (const subscription of subscribers) {
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      subscriptionId: subscription.id,
+      eventType,
+      payload: { id, type: eventType, created_at: createdAt, data },
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      createdAt,
+      deliveredAt: null
+    };
+    webhookDeliveries.set(delivery.id, delivery);
+
+    attemptWebhookDelivery(delivery).catch(error => {
+      console.log(`❌ Webhook delivery error for ${subscription.id}: ${error.message}`);
+    });
   }
+
+  console.log(`🪝 Queued ${eventType} webhook for ${subscribers.length} subscribers`);
+}
+
+// Public view of a subscription (never includes the secret)
+function serializeWebhookSubscription(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    description: subscription.description,
+    active: subscription.active,
+    created_at: subscription.createdAt
+  };
+}
+
+function serializeWebhookDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event_type: delivery.eventType,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    response_status: delivery.responseStatus,
+    last_error: delivery.lastError,
+    next_attempt_at: delivery.status === 'pending' ? new Date(delivery.nextAttemptAt).toISOString() : null,
+    created_at: delivery.createdAt,
+    delivered_at: delivery.deliveredAt
+  };
+}
+
+// Subscription owner (its secret) or server admin (API_SECRET) may manage a subscription
+function isWebhookRequestAuthorized(req, subscription) {
+  if (hasAdminSecret(req)) return true;
+  const provided = req.get('X-Webhook-Secret') || req.body?.secret;
+  return !!provided && secretsMatch(provided, subscription.secret);
 }
 
 // Auto-fetch stock data every 30 seconds
 async function startStockMonitoring() {
   console.log('🚀 Starting stock monitoring...');
   
+  // Register the interval before the first fetch so stepping down during it clears the timer
+  monitoringTimers.push(setInterval(async () => {
+    await updateStockData();
+  }, 30 * 1000)); // 30 seconds for maximum freshness
+  
   // Initial fetch
   await updateStockData();
-  
-  // Set up interval for every 30 seconds for maximum freshness
-  setInterval(async () => {
-    await updateStockData();
-  }, 30 * 1000); // 30 seconds for maximum freshness
 }
 
 // Auto-fetch event data every hour
 async function startEventMonitoring() {
   console.log('🎉 Starting event monitoring...');
   
+  // Register the interval before the first fetch so stepping down during it clears the timer
+  monitoringTimers.push(setInterval(async () => {
+    await updateEventData();
+  }, 60 * 60 * 1000)); // 1 hour
+  
   // Initial fetch
   await updateEventData();
-  
-  // Set up interval for every hour
-  setInterval(async () => {
-    await updateEventData();
-  }, 60 * 60 * 1000); // 1 hour
 }
 
 // Update event data
@@ -2027,6 +5786,7 @@ async function updateEventData() {
     if (newEventData) {
       currentEvent = newEventData;
       console.log(`🎉 Event updated: ${currentEvent.name} (every hour at :${String(currentEvent.correctedMinute).padStart(2, '0')})`);
+      await saveSharedState();
     } else {
       console.log('⚠️ No event data received');
     }
@@ -2044,6 +5804,7 @@ async function updateStockData() {
       return;
     }
     isUpdateInProgress = true;
+    const updateStartedAt = new Date();
     // Store previous data for comparison
     previousStockItems = new Map(stockItems);
     previousWeatherData = new Map(weatherData);
@@ -2057,6 +5818,40 @@ async function updateStockData() {
     stockItems = newStockData;
     weatherData = newWeatherData;
     
+    // Record every restock/quantity change for history queries
+    const stockChanges = diffStockSnapshots(previousStockItems, stockItems);
+    await recordStockHistory(stockChanges);
+    
+    // Only freshly fetched data counts as observed (not preserved copies or simulated data)
+    const isFreshStockData = !!lastStockUpdateTime && lastStockUpdateTime >= updateStartedAt;
+    
+    // Count cycle appearances for restock predictions and keep the item catalog current
+    if (isFreshStockData) {
+      recordCycleObservations(stockItems);
+      recordCatalogStock(stockItems);
+    }
+    
+    // Favorites naming items that were missing from the catalog can resolve now
+    if (isFreshStockData && !hasMigratedFavoritesAfterStock) {
+      hasMigratedFavoritesAfterStock = true;
+      await migrateStoredFavorites();
+    }
+    
+    // Publish restocks to Discord (skip the first snapshot after a restart, everything looks new). Only back-in-stock
+    // items and new shop cycles count; a quantity rising mid-cycle is not a restock
+    if (isFreshStockData && previousStockItems.size > 0) {
+      const restockEntries = stockChanges.filter(entry =>
+        entry.quantity > 0 && entry.category !== 'traveling_merchant' &&
+        (entry.previous_quantity === 0 || (previousStockItems.get(entry.item_name)?.startDate ?? null) !== entry.start_date_unix)
+      );
+      publishStockChangesToDiscord(restockEntries);
+    }
+    
+    // Push every stock diff to webhook subscribers
+    if (isFreshStockData && previousStockItems.size > 0 && stockChanges.length > 0) {
+      emitWebhookEvent('stock_change', { changes: stockChanges });
+    }
+    
     // Check for stock changes and send notifications
     await checkStockChanges(); // false = restock mode with modified logic
     
@@ -2066,6 +5861,9 @@ async function updateStockData() {
     // Check for event notifications (new)
     await checkEventNotifications();
     
+    // Send due digests (scheduled, or morning digests after quiet hours)
+    await flushNotificationDigests();
+    
     console.log(`📊 Update complete - tracking ${stockItems.size} items, ${weatherData.size} weather events`);
 
     // Smart TM freshness check, retry, and optional user alert when TM appears
@@ -2080,25 +5878,39 @@ async function updateStockData() {
         scheduleTravelingMerchantRetry(tmWindow.startUnix);
       } else {
         clearTravelingMerchantRetry();
-        // Send TM alert once per window only
-        if (lastTmAlertWindowUnix !== tmWindow.startUnix) {
-          try {
-            await sendTravelingMerchantNotifications(tmList);
-            lastTmAlertWindowUnix = tmWindow.startUnix;
-            console.log(`🛎️ TM alert sent for window ${tmWindow.startUnix}`);
-          } catch (e) {
-            console.log('❌ Error sending TM notifications:', e.message);
-          }
+        // Announce on Discord and webhooks once per window (claimed globally so restarts/other instances skip it)
+        const tmTtlMs = getCycleLengthSeconds('traveling_merchant') * 2 * 1000;
+        if (await claimNotification(GLOBAL_DEDUP_SCOPE, 'traveling_merchant_announcement', `tm:${tmWindow.startUnix}`, tmTtlMs)) {
+          publishTravelingMerchantToDiscord(tmList);
+          emitWebhookEvent('traveling_merchant_arrival', {
+            merchant: normalizeMerchantName(tmList[0]?.merchant || 'Traveling Merchant'),
+            window_start_unix: tmWindow.startUnix,
+            items: tmList.map(i => ({
+              name: i.displayName || i.name,
+              item_id: i.itemId,
+              quantity: i.quantity,
+              rarity: i.rarity,
+              icon: getOutboundIconUrl(i),
+              start_date: i.startDate,
+              end_date: i.endDate
+            }))
+          });
+        }
+        // Pushes are claimed per device, so devices whose alert failed are retried on the next poll
+        try {
+          const sentCount = await sendTravelingMerchantNotifications(tmList);
+          if (sentCount > 0) console.log(`🛎️ TM alert sent to ${sentCount} devices for window ${tmWindow.startUnix}`);
+        } catch (e) {
+          console.log('❌ Error sending TM notifications:', e.message);
         }
       }
     } else {
       clearTravelingMerchantRetry();
-      // Reset per-process alert marker if we have moved past the window end by >30m
-      if (lastTmAlertWindowUnix && lastTmAlertWindowUnix < (getCurrentTravelingMerchantWindow(new Date()).startUnix - 1)) {
-        lastTmAlertWindowUnix = null;
-      }
     }
     
+    // Share the new snapshot with follower instances
+    await saveSharedState();
+    
   } catch (error) {
     console.error('❌ Error updating stock/weather data:', error);
   } finally {
@@ -2174,10 +5986,35 @@ function clearTravelingMerchantRetry() {
   tmRetryState.attempts = 0;
 }
 
-// Initialize APNs and start monitoring
+// Initialize APNs, restore persisted users, and start monitoring
 initializeAPNs();
-setTimeout(startStockMonitoring, 5000); // Start monitoring after 5 seconds
-setTimeout(startEventMonitoring, 7000); // Start event monitoring after 7 seconds
+initializeFCM();
+initializeUpstreamRecording();
+initializeUpstreamReplay();
+initializeDatabase()
+  .then(() => loadUsersFromDatabase())
+  .then(() => loadRarityRegistry())
+  .then(() => loadItemCatalog())
+  .then(() => importRarityFixesFromEnv()) // after the catalog, which names the imported item IDs
+  .then(() => loadPredictionStatsFromHistory())
+  .then(() => loadWebhookSubscriptions())
+  .finally(() => {
+    // Webhook retries and dedup/delivery pruning are the leader's job, so each retry goes out once
+    setInterval(() => {
+      if (!isLeader) return;
+      processDueWebhookDeliveries().catch(error => console.log('❌ Webhook retry loop error:', error.message));
+    }, 5000);
+    setInterval(() => {
+      processIconRevalidationQueue().catch(error => console.log('❌ Icon revalidation loop error:', error.message));
+    }, 5000);
+    setInterval(() => {
+      if (!isLeader) return;
+      pruneNotificationDedup().catch(error => console.log('❌ Dedup prune error:', error.message));
+      pruneWebhookDeliveries();
+      pruneStockHistory();
+    }, 10 * 60 * 1000);
+    setTimeout(startLeaderElection, 5000); // Only the elected leader polls upstream and notifies
+  });
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -2185,11 +6022,15 @@ app.get('/', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     apns_ready: !!apnProvider,
+    fcm_ready: !!fcmConfig,
+    database_ready: isDatabaseReady,
     users_count: users.size,
     stock_items: stockItems.size,
     weather_events: weatherData.size,
     current_event: currentEvent?.name || null,
-    monitoring_active: true,
+    monitoring_active: isLeader,
+    instance_id: INSTANCE_ID,
+    instance_role: isLeader ? 'leader' : 'follower',
     api_url: STOCK_API_URL,
     weather_api_url: WEATHER_API_URL,
     event_api_url: EVENT_API_URL
@@ -2200,6 +6041,9 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     apns_configured: !!apnProvider,
+    fcm_configured: !!fcmConfig,
+    database_configured: isDatabaseReady,
+    instance_role: isLeader ? 'leader' : 'follower',
     users: users.size,
     stock_items: stockItems.size,
     weather_events: weatherData.size,
@@ -2256,7 +6100,7 @@ app.get('/api/stock', (req, res) => {
     quantity: i.quantity,
     category: 'traveling_merchant',
     item_id: i.itemId,
-    icon: i.icon,
+    icon: toAbsoluteIconUrl(i.icon, req),
     start_date: i.startDate,
     end_date: i.endDate,
     rarity: i.rarity,
@@ -2269,11 +6113,12 @@ app.get('/api/stock', (req, res) => {
     quantity: data.quantity,
     category: data.category,
     item_id: data.itemId,
-    icon: data.icon,
+    icon: toAbsoluteIconUrl(data.icon, req),
     start_date: data.startDate,
     end_date: data.endDate,
     rarity: data.rarity,  // NEW: Include API-provided rarity
-    merchant: data.merchant || null
+    merchant: data.merchant || null,
+    prediction: buildItemPrediction(name)
   }));
   // Replace traveling_merchant items with filtered active list representation
   const stockArrayFiltered = stockArray.filter(i => i.category !== 'traveling_merchant').concat(
@@ -2283,11 +6128,12 @@ app.get('/api/stock', (req, res) => {
       quantity: i.quantity,
       category: 'traveling_merchant',
       item_id: i.itemId,
-      icon: i.icon,
+      icon: toAbsoluteIconUrl(i.icon, req),
       start_date: i.startDate,
       end_date: i.endDate,
       rarity: i.rarity,
-      merchant: i.merchant || null
+      merchant: i.merchant || null,
+      prediction: buildItemPrediction(i.displayName || i.name)
     }))
   );
 
@@ -2320,6 +6166,178 @@ app.get('/api/stock', (req, res) => {
   });
 });
 
+// Item catalog for the favorites picker
+// ?q= (search), ?prefix= (autocomplete), ?category=seeds,gear, ?rarity=Mythical, ?min_rarity=Legendary,
+// ?in_stock=true|false, ?sort=relevance|name|rarity|last_seen, ?limit=, ?offset=
+app.get('/api/items', (req, res) => {
+  try {
+    const query = String(req.query.q || req.query.prefix || '').trim().toLowerCase();
+    const prefixOnly = !req.query.q && !!req.query.prefix;
+    const categories = req.query.category ? String(req.query.category).split(',').map(category => category.trim()).filter(Boolean) : null;
+    const rarity = req.query.rarity ? normalizeRarity(req.query.rarity) : null;
+    const minRarity = req.query.min_rarity ? normalizeRarity(req.query.min_rarity) : null;
+    if ((req.query.rarity && !rarity) || (req.query.min_rarity && !minRarity)) {
+      return res.status(400).json({ success: false, error: `rarity must be one of: ${ITEM_RARITIES.join(', ')}` });
+    }
+    const sort = req.query.sort || (query ? 'relevance' : 'name');
+    if (!['relevance', 'name', 'rarity', 'last_seen'].includes(sort)) {
+      return res.status(400).json({ success: false, error: 'sort must be one of: relevance, name, rarity, last_seen' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || ITEM_CATALOG_DEFAULT_PAGE_SIZE) || ITEM_CATALOG_DEFAULT_PAGE_SIZE, 1), ITEM_CATALOG_MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset || '0') || 0, 0);
+
+    // Cheap filters (query, category, stock) first; rarity is resolved only when a filter or the sort needs it,
+    // and only the returned page is serialized
+    const needsRarity = !!rarity || !!minRarity || sort === 'rarity';
+    let matches = [];
+    for (const entry of itemCatalog.values()) {
+      const rank = query ? getCatalogMatchRank(entry, query) : 0;
+      if (rank === null || (prefixOnly && rank > 2)) continue;
+      if (categories && !categories.includes(entry.category)) continue;
+      const stockData = stockItems.get(entry.name);
+      if (req.query.in_stock !== undefined && ((stockData?.quantity || 0) > 0) !== (req.query.in_stock === 'true')) continue;
+      const itemRarity = needsRarity ? getCatalogItemRarity(entry, stockData) : null;
+      if (rarity && itemRarity !== rarity) continue;
+      if (minRarity && getRarityInfo(itemRarity).tier < getRarityInfo(minRarity).tier) continue;
+      matches.push({ rank, entry, rarity: itemRarity });
+    }
+
+    const byName = (a, b) => a.entry.name.localeCompare(b.entry.name);
+    const comparators = {
+      relevance: (a, b) => a.rank - b.rank || byName(a, b),
+      name: byName,
+      rarity: (a, b) => getRarityInfo(b.rarity).tier - getRarityInfo(a.rarity).tier || byName(a, b),
+      last_seen: (a, b) => String(b.entry.lastSeenAt || '').localeCompare(String(a.entry.lastSeenAt || '')) || byName(a, b)
+    };
+    matches.sort(comparators[sort]);
+
+    const page = matches.slice(offset, offset + limit).map(match => serializeCatalogEntry(match.entry, req));
+    res.json({
+      success: true,
+      items: page,
+      total: matches.length,
+      limit,
+      offset,
+      has_more: offset + page.length < matches.length
+    });
+  } catch (error) {
+    console.error('❌ Item catalog error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Catalog detail for one item (by item_id or name)
+app.get('/api/items/:id', (req, res) => {
+  try {
+    const entry = findCatalogEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: `Item ${req.params.id} not found` });
+    }
+
+    const { source } = getCatalogEntryRarity(entry);
+    res.json({
+      success: true,
+      item: {
+        ...serializeCatalogEntry(entry, req),
+        rarity_source: source,
+        info: entry.info,
+        prediction: buildItemPrediction(entry.name)
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Item detail error for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restock prediction for a single item (by item_id or display name)
+app.get('/api/items/:id/prediction', (req, res) => {
+  try {
+    const itemName = findPredictableItemName(req.params.id);
+    if (!itemName) {
+      return res.status(404).json({ success: false, error: `Item ${req.params.id} not found` });
+    }
+
+    const requestedCycles = parseInt(req.query.cycles || PREDICTION_DEFAULT_CYCLES) || PREDICTION_DEFAULT_CYCLES;
+    const cycles = Math.min(Math.max(requestedCycles, 1), PREDICTION_MAX_CYCLES);
+    const prediction = buildItemPrediction(itemName, cycles, { includeCycles: true });
+    if (!prediction) {
+      return res.status(422).json({ success: false, error: `No restock cycle known for ${itemName}` });
+    }
+
+    const stockData = stockItems.get(itemName);
+    const stats = itemCycleStats.get(itemName);
+    res.json({
+      success: true,
+      item_id: stockData?.itemId || stats?.itemId || null,
+      display_name: itemName,
+      category: stockData?.category || stats?.category,
+      rarity: stockData?.rarity || stats?.rarity || null,
+      in_stock_now: (stockData?.quantity || 0) > 0,
+      prediction,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ Prediction error for ${req.params.id}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to calculate prediction', details: error.message });
+  }
+});
+
+// Query recorded stock history (filter by item, item_id, category and time range)
+app.get('/api/stock/history', async (req, res) => {
+  try {
+    const from = parseHistoryTime(req.query.from);
+    const to = parseHistoryTime(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, error: 'from/to must be ISO dates or unix seconds' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '100') || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset || '0') || 0, 0);
+    const filters = {
+      item: req.query.item || null,
+      itemId: req.query.item_id || null,
+      category: req.query.category || null,
+      from,
+      to,
+      limit,
+      offset
+    };
+
+    const result = await queryStockHistory(filters);
+
+    // Convenience summary for single-item queries ("last seen in stock"), over the whole range rather than this page
+    let summary = null;
+    if (filters.item || filters.itemId) {
+      const { lastSeenInStock, restocks } = await summarizeStockHistory(filters);
+      summary = {
+        last_seen_in_stock: lastSeenInStock,
+        restocks
+      };
+    }
+
+    res.json({
+      success: true,
+      history: result.entries,
+      total: result.total,
+      limit,
+      offset,
+      filters: {
+        item: filters.item,
+        item_id: filters.itemId,
+        category: filters.category,
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null
+      },
+      summary,
+      storage: isDatabaseReady ? 'postgres' : 'memory'
+    });
+  } catch (error) {
+    console.error('❌ Stock history query error:', error);
+    res.status(500).json({ success: false, error: 'Failed to query stock history', details: error.message });
+  }
+});
+
 // Calculate next traveling merchant window info (supports offset minutes)
 function calculateNextTravelingMerchantWindow(now) {
   try {
@@ -2356,7 +6374,7 @@ app.get('/api/weather', (req, res) => {
     duration: data.duration,
     start_duration: data.startDuration,
     end_duration: data.endDuration,
-    icon: data.icon
+    icon: toAbsoluteIconUrl(data.icon, req)
   })).filter(w => {
     const wName = (w.weather_name || '').toLowerCase();
     return !Array.from(ignoredWeather).some(token => token && wName.includes(token));
@@ -2423,7 +6441,7 @@ app.get('/api/game-data', (req, res) => {
     quantity: data.quantity,
     category: data.category,
     item_id: data.itemId,
-    icon: data.icon,
+    icon: toAbsoluteIconUrl(data.icon, req),
     start_date: data.startDate,
     end_date: data.endDate
   }));
@@ -2435,7 +6453,7 @@ app.get('/api/game-data', (req, res) => {
     duration: data.duration,
     start_duration: data.startDuration,
     end_duration: data.endDuration,
-    icon: data.icon
+    icon: toAbsoluteIconUrl(data.icon, req)
   }));
   
   res.json({
@@ -2451,92 +6469,453 @@ app.get('/api/game-data', (req, res) => {
   });
 });
 
-// Register device endpoint
-app.post('/api/register-device', (req, res) => {
-  const { device_token, platform, app_version, favorite_items, favorite_weather_events, notification_settings, event_notification_settings, weather_notification_settings, traveling_merchant_settings } = req.body;
-  
-  if (!device_token) {
-    return res.status(400).json({ error: 'Device token is required' });
+// MARK: - User Preferences
+
+// Preference sections: request field -> stored user field, default value, validator (strict, for the
+// preferences API) and sanitizer (lenient, for register-device; see sanitizePreferenceSections)
+const PREFERENCE_SECTIONS = {
+  favorite_items: { field: 'favorite_items', defaultValue: () => [], validate: validateStringArray, sanitize: sanitizeStringArray },
+  favorite_weather_events: { field: 'favorite_weather_events', defaultValue: () => [], validate: validateStringArray, sanitize: sanitizeStringArray },
+  favorite_item_settings: { field: 'favorite_item_settings', defaultValue: () => ({}), validate: validateFavoriteItemSettings, sanitize: sanitizeFavoriteItemSettings },
+  stock_subscriptions: { field: 'stock_subscriptions', defaultValue: () => ({}), validate: validateStockSubscriptions, sanitize: settingsSanitizer(() => STOCK_SUBSCRIPTIONS_SCHEMA) },
+  notification_settings: { field: 'notification_settings', defaultValue: () => ({}), validate: validateNotificationSettings, sanitize: settingsSanitizer(() => NOTIFICATION_SETTINGS_SCHEMA) },
+  event_notification_settings: { field: 'eventNotificationSettings', defaultValue: () => ({}), validate: validateEventNotificationSettings, sanitize: settingsSanitizer(() => EVENT_NOTIFICATION_SETTINGS_SCHEMA) },
+  weather_notification_settings: { field: 'weatherNotificationSettings', defaultValue: () => ({}), validate: validateWeatherNotificationSettings, sanitize: settingsSanitizer(() => WEATHER_NOTIFICATION_SETTINGS_SCHEMA) },
+  traveling_merchant_settings: { field: 'travelingMerchantSettings', defaultValue: () => ({ enabled: true }), validate: validateTravelingMerchantSettings, sanitize: settingsSanitizer(() => TRAVELING_MERCHANT_SETTINGS_SCHEMA) }
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check the type of known keys; unknown keys are kept for forward compatibility. A schema value is either a
+// check returning an error message (or null) or the schema of a nested settings object.
+function validateSettingsObject(value, schema) {
+  if (!isPlainObject(value)) return 'must be an object';
+  for (const [key, check] of Object.entries(schema)) {
+    if (value[key] === undefined || value[key] === null) continue;
+    const error = typeof check === 'function' ? check(value[key]) : validateSettingsObject(value[key], check);
+    if (error) return `${key} ${error}`;
   }
-  
-  console.log(`📱 Device registration: ${device_token.substring(0, 10)}... (${platform}) v${app_version}`);
-  
-  // Check if this is a favorites update by comparing with existing data
-  const existingUser = users.get(device_token);
-  const oldFavorites = existingUser?.favorite_items || [];
-  const newFavorites = favorite_items || [];
-  
-  // Track favorites changes for immediate notification updates
-  if (existingUser && JSON.stringify(oldFavorites.sort()) !== JSON.stringify(newFavorites.sort())) {
-    const added = newFavorites.filter(item => !oldFavorites.includes(item));
-    const removed = oldFavorites.filter(item => !newFavorites.includes(item));
-    
-    if (added.length > 0) {
-      console.log(`➕ FAVORITES ADDED by ${device_token.substring(0, 10)}...: ${added.join(', ')}`);
+  return null;
+}
+
+// Older apps send "true", "5" or 1 where a boolean or number is expected; these are the values to try instead
+function getSettingCoercions(value) {
+  if (typeof value === 'number') return value === 0 || value === 1 ? [value === 1] : [];
+  if (typeof value !== 'string') return [];
+
+  const trimmed = value.trim().toLowerCase();
+  if (trimmed === 'true' || trimmed === 'false') return [trimmed === 'true'];
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return trimmed === '0' || trimmed === '1' ? [Number(trimmed), trimmed === '1'] : [Number(trimmed)];
+  }
+  return [];
+}
+
+// Lenient counterpart of validateSettingsObject: coerces stringly-typed values and drops only the keys that are
+// still invalid, adding a warning for each. Returns undefined when the value isn't an object at all.
+function sanitizeSettingsObject(value, schema, path, warnings) {
+  if (!isPlainObject(value)) {
+    warnings.push(`${path} must be an object (ignored)`);
+    return undefined;
+  }
+
+  const sanitized = { ...value };
+  for (const [key, check] of Object.entries(schema)) {
+    if (value[key] === undefined || value[key] === null) continue;
+
+    if (typeof check !== 'function') {
+      const nested = sanitizeSettingsObject(value[key], check, `${path}.${key}`, warnings);
+      if (nested === undefined) delete sanitized[key];
+      else sanitized[key] = nested;
+      continue;
     }
-    if (removed.length > 0) {
-      console.log(`➖ FAVORITES REMOVED by ${device_token.substring(0, 10)}...: ${removed.join(', ')} - notifications will stop immediately`);
+
+    const error = check(value[key]);
+    if (!error) continue;
+    const coerced = getSettingCoercions(value[key]).find(candidate => !check(candidate));
+    if (coerced !== undefined) {
+      sanitized[key] = coerced;
+    } else {
+      delete sanitized[key];
+      warnings.push(`${path}.${key} ${error} (ignored)`);
     }
   }
-  
-  // Store user data
-  users.set(device_token, {
-    platform: platform || 'ios',
-    app_version: app_version || 'unknown',
-    favorite_items: favorite_items || [],
-    favorite_weather_events: favorite_weather_events || [],
-    notification_settings: notification_settings || {},
-    eventNotificationSettings: event_notification_settings || {},
-    weatherNotificationSettings: weather_notification_settings || {},
-    travelingMerchantSettings: traveling_merchant_settings || { enabled: true },
-    last_updated: new Date().toISOString()
-  });
-  
-  console.log(`👥 Total registered users: ${users.size}`);
-  
-  // Log user's favorite items for debugging
-  if (favorite_items && favorite_items.length > 0) {
-    console.log(`❤️ User favorites: ${favorite_items.join(', ')}`);
-  } else if (favorite_items && favorite_items.length === 0) {
-    console.log(`💔 User has no favorites - no notifications will be sent`);
+  return sanitized;
+}
+
+// Schemas are looked up lazily because they are declared below PREFERENCE_SECTIONS
+function settingsSanitizer(getSchema) {
+  return (value, path, warnings) => sanitizeSettingsObject(value, getSchema(), path, warnings);
+}
+
+const isBooleanSetting = value => typeof value === 'boolean' ? null : 'must be a boolean';
+const isStringSetting = value => typeof value === 'string' ? null : 'must be a string';
+const isOneOf = allowed => value => allowed.includes(value) ? null : `must be one of: ${allowed.join(', ')}`;
+const isClockTimeSetting = time => parseClockTime(time) !== null ? null : 'must be HH:MM';
+
+function validateStringArray(value) {
+  if (!Array.isArray(value)) return 'must be an array';
+  if (value.some(entry => typeof entry !== 'string')) return 'must only contain strings';
+  return null;
+}
+
+function sanitizeStringArray(value, path, warnings) {
+  if (!Array.isArray(value)) {
+    warnings.push(`${path} must be an array (ignored)`);
+    return undefined;
   }
-  
-  // Log user's favorite weather events for debugging
-  if (favorite_weather_events && favorite_weather_events.length > 0) {
-    console.log(`🌦️❤️ User weather favorites: ${favorite_weather_events.join(', ')}`);
+  const strings = value.filter(entry => typeof entry === 'string');
+  if (strings.length < value.length) {
+    warnings.push(`${path} must only contain strings (${value.length - strings.length} entries ignored)`);
   }
-  
-  // Log event notification settings for debugging
-  if (event_notification_settings) {
-    console.log(`🎉 Event settings: enabled=${event_notification_settings.enabled}, reminder_minutes=${event_notification_settings.reminder_minutes}, sound=${event_notification_settings.sound}`);
+  return strings;
+}
+
+const FAVORITE_ITEM_SETTINGS_SCHEMA = {
+  min_quantity: quantity => Number.isInteger(quantity) && quantity >= 1 ? null : 'must be a positive integer',
+  notify_only_on_increase: isBooleanSetting
+};
+
+// { "<item_id>": { min_quantity, notify_only_on_increase } } (display-name keys are migrated to item_ids)
+function validateFavoriteItemSettings(value) {
+  if (!isPlainObject(value)) return 'must be an object keyed by item_id';
+  for (const [itemName, settings] of Object.entries(value)) {
+    if (settings === null) continue;
+    const error = validateSettingsObject(settings, FAVORITE_ITEM_SETTINGS_SCHEMA);
+    if (error) return `${itemName}: ${error}`;
   }
-  
-  // Log weather notification settings for debugging
-  if (weather_notification_settings) {
-    console.log(`🌦️ Weather settings: enabled=${weather_notification_settings.enabled}, mode=${weather_notification_settings.mode}, sound=${weather_notification_settings.sound}`);
+  return null;
+}
+
+function sanitizeFavoriteItemSettings(value, path, warnings) {
+  if (!isPlainObject(value)) {
+    warnings.push(`${path} must be an object keyed by item_id (ignored)`);
+    return undefined;
   }
-  
-  res.json({ 
-    success: true, 
-    message: 'Device registered successfully',
-    favorites_count: favorite_items ? favorite_items.length : 0,
-    apns_ready: !!apnProvider,
-    monitoring_active: true,
-    event_notifications_supported: true
+  const sanitized = {};
+  for (const [itemName, settings] of Object.entries(value)) {
+    const entry = settings === null ? null : sanitizeSettingsObject(settings, FAVORITE_ITEM_SETTINGS_SCHEMA, `${path}.${itemName}`, warnings);
+    if (entry !== undefined) sanitized[itemName] = entry;
+  }
+  return sanitized;
+}
+
+const SUBSCRIPTION_RARITIES = ['Uncommon', 'Rare', 'Legendary', 'Mythical', 'Divine', 'Prismatic'];
+
+// { min_rarity: "Mythical", categories: ["eggs"] } - alerts for matching items without naming them
+const STOCK_SUBSCRIPTIONS_SCHEMA = {
+  min_rarity: isOneOf(SUBSCRIPTION_RARITIES),
+  categories: categories => Array.isArray(categories) && categories.every(category => !!getShopCategory(category))
+    ? null : `must be an array of: ${getShopCategories().map(shop => shop.id).join(', ')}`
+};
+
+const QUIET_HOURS_SCHEMA = {
+  enabled: isBooleanSetting,
+  start: isClockTimeSetting,
+  end: isClockTimeSetting,
+  mode: isOneOf(QUIET_HOURS_MODES)
+};
+
+const DIGEST_SETTINGS_SCHEMA = {
+  mode: isOneOf(DIGEST_MODES),
+  cycles: cycles => Number.isInteger(cycles) && cycles >= 1 && cycles <= 288 ? null : 'must be an integer from 1 to 288',
+  time: isClockTimeSetting
+};
+
+const NOTIFICATION_SETTINGS_SCHEMA = {
+  enabled: isBooleanSetting,
+  sound: isBooleanSetting,
+  time_zone: zone => typeof zone === 'string' && isValidTimeZone(zone) ? null : 'must be an IANA time zone (e.g., America/New_York)',
+  quiet_hours: QUIET_HOURS_SCHEMA,
+  digest: DIGEST_SETTINGS_SCHEMA,
+  selected_sound: isStringSetting,
+  category_sounds: sounds => isPlainObject(sounds) && Object.values(sounds).every(sound => typeof sound === 'string')
+    ? null : 'must be an object of sound names'
+};
+
+const EVENT_NOTIFICATION_SETTINGS_SCHEMA = {
+  enabled: isBooleanSetting,
+  reminder_minutes: isOneOf([0, 1, 2, 5, 10, 15]),
+  sound: isStringSetting
+};
+
+const WEATHER_NOTIFICATION_SETTINGS_SCHEMA = {
+  enabled: isBooleanSetting,
+  mode: isOneOf(['all', 'favorites']),
+  end_notifications_enabled: isBooleanSetting,
+  sound: isStringSetting
+};
+
+const TRAVELING_MERCHANT_SETTINGS_SCHEMA = {
+  enabled: isBooleanSetting
+};
+
+function validateStockSubscriptions(value) {
+  return validateSettingsObject(value, STOCK_SUBSCRIPTIONS_SCHEMA);
+}
+
+function validateNotificationSettings(value) {
+  return validateSettingsObject(value, NOTIFICATION_SETTINGS_SCHEMA);
+}
+
+function validateEventNotificationSettings(value) {
+  return validateSettingsObject(value, EVENT_NOTIFICATION_SETTINGS_SCHEMA);
+}
+
+function validateWeatherNotificationSettings(value) {
+  return validateSettingsObject(value, WEATHER_NOTIFICATION_SETTINGS_SCHEMA);
+}
+
+function validateTravelingMerchantSettings(value) {
+  return validateSettingsObject(value, TRAVELING_MERCHANT_SETTINGS_SCHEMA);
+}
+
+// Validate every provided section; returns { errors, sections } with only the sections present in input
+function validatePreferenceSections(input) {
+  const errors = {};
+  const sections = {};
+  for (const [name, section] of Object.entries(PREFERENCE_SECTIONS)) {
+    if (input[name] === undefined) continue;
+    const error = section.validate(input[name]);
+    if (error) {
+      errors[name] = error;
+    } else {
+      sections[name] = input[name];
+    }
+  }
+  return { errors, sections };
+}
+
+// Register-device counterpart of validatePreferenceSections: keeps the valid parts of every section and returns
+// { sections, warnings } instead of dropping a whole section over one legacy value
+function sanitizePreferenceSections(input) {
+  const warnings = [];
+  const sections = {};
+  for (const [name, section] of Object.entries(PREFERENCE_SECTIONS)) {
+    if (input[name] === undefined) continue;
+    const value = section.sanitize(input[name], name, warnings);
+    if (value !== undefined) sections[name] = value;
+  }
+  return { sections, warnings };
+}
+
+// Merge one section into the stored value: arrays replace, objects merge (one level deep for nested objects)
+function mergePreferenceSection(existingValue, update) {
+  if (Array.isArray(update) || !isPlainObject(existingValue)) return update;
+
+  const merged = { ...existingValue };
+  for (const [key, value] of Object.entries(update)) {
+    if (value === null) {
+      delete merged[key]; // null clears a key (e.g., an item's thresholds)
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(existingValue[key]) ? { ...existingValue[key], ...value } : value;
+  }
+  return merged;
+}
+
+// Snake_case view of a user's preferences as the app sends them
+function buildPreferencesView(userData) {
+  const view = {};
+  for (const [name, section] of Object.entries(PREFERENCE_SECTIONS)) {
+    view[name] = userData[section.field] ?? section.defaultValue();
+  }
+  return view;
+}
+
+// Register device endpoint
+app.post('/api/register-device', async (req, res) => {
+  try {
+    const { device_token, platform, app_version, favorite_items } = req.body || {};
+    
+    if (!device_token) {
+      return res.status(400).json({ error: 'Device token is required' });
+    }
+    if (typeof device_token !== 'string') {
+      return res.status(400).json({ error: 'Device token must be a string' });
+    }
+    
+    console.log(`📱 Device registration: ${device_token.substring(0, 10)}... (${platform}) v${app_version}`);
+    
+    const existingUser = users.get(device_token);
+    const oldFavorites = [...(existingUser?.favorite_items || [])];
+    
+    // Sections omitted by the app (e.g., older versions) keep their stored value instead of resetting
+    // Invalid values in a section are coerced or ignored one by one, the rest of the section is kept
+    const { sections, warnings } = sanitizePreferenceSections(req.body);
+    if (warnings.length > 0) {
+      console.log(`⚠️ Ignoring invalid preferences from ${device_token.substring(0, 10)}...: ${warnings.join('; ')}`);
+    }
+    
+    const now = new Date().toISOString();
+    const userData = {
+      ...(existingUser || {}),
+      platform: platform || existingUser?.platform || 'ios',
+      app_version: app_version || existingUser?.app_version || 'unknown',
+      registered_at: existingUser?.registered_at || now,
+      updated_at: now,
+      last_updated: now
+    };
+    for (const [name, section] of Object.entries(PREFERENCE_SECTIONS)) {
+      userData[section.field] = sections[name] !== undefined
+        ? sections[name]
+        : (existingUser?.[section.field] ?? section.defaultValue());
+    }
+    
+    // Store favorites by item_id (older apps send display names)
+    const { migrated: migratedFavorites, unresolved: unresolvedFavorites } = migrateUserFavorites(userData);
+    if (Object.keys(migratedFavorites).length > 0) {
+      console.log(`🆔 Favorites resolved to item IDs for ${device_token.substring(0, 10)}...: ${Object.entries(migratedFavorites).map(([name, itemId]) => `${name} → ${itemId}`).join(', ')}`);
+    }
+    if (unresolvedFavorites.length > 0) {
+      console.log(`⚠️ Unknown favorites for ${device_token.substring(0, 10)}... (kept as sent): ${unresolvedFavorites.join(', ')}`);
+    }
+    
+    // Track favorites changes for immediate notification updates
+    const newFavorites = userData.favorite_items;
+    if (existingUser && JSON.stringify([...oldFavorites].sort()) !== JSON.stringify([...newFavorites].sort())) {
+      const added = newFavorites.filter(item => !oldFavorites.includes(item));
+      const removed = oldFavorites.filter(item => !newFavorites.includes(item));
+    
+      if (added.length > 0) {
+        console.log(`➕ FAVORITES ADDED by ${device_token.substring(0, 10)}...: ${added.join(', ')}`);
+      }
+      if (removed.length > 0) {
+        console.log(`➖ FAVORITES REMOVED by ${device_token.substring(0, 10)}...: ${removed.join(', ')} - notifications will stop immediately`);
+      }
+    }
+    
+    // Store user data
+    users.set(device_token, userData);
+    
+    // Persist so the registration survives restarts and dyno cycles
+    const persisted = await saveUser(device_token);
+    
+    console.log(`👥 Total registered users: ${users.size}${persisted ? ' (persisted)' : ''}`);
+    
+    // Log user's favorite items for debugging
+    if (favorite_items && newFavorites.length > 0) {
+      console.log(`❤️ User favorites: ${newFavorites.join(', ')}`);
+    } else if (favorite_items && favorite_items.length === 0) {
+      console.log(`💔 User has no favorites - no notifications will be sent`);
+    }
+    
+    // Log user's favorite weather events for debugging
+    if (sections.favorite_weather_events && userData.favorite_weather_events.length > 0) {
+      console.log(`🌦️❤️ User weather favorites: ${userData.favorite_weather_events.join(', ')}`);
+    }
+    
+    // Log event notification settings for debugging
+    if (sections.event_notification_settings) {
+      const eventSettings = userData.eventNotificationSettings;
+      console.log(`🎉 Event settings: enabled=${eventSettings.enabled}, reminder_minutes=${eventSettings.reminder_minutes}, sound=${eventSettings.sound}`);
+    }
+    
+    // Log weather notification settings for debugging
+    if (sections.weather_notification_settings) {
+      const weatherSettings = userData.weatherNotificationSettings;
+      console.log(`🌦️ Weather settings: enabled=${weatherSettings.enabled}, mode=${weatherSettings.mode}, sound=${weatherSettings.sound}`);
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Device registered successfully',
+      favorites_count: favorite_items ? newFavorites.length : 0,
+      favorite_items: newFavorites,
+      migrated_favorites: migratedFavorites,
+      unresolved_favorites: unresolvedFavorites,
+      warnings,
+      apns_ready: !!apnProvider,
+      push_ready: getPlatformChannel(platform).isReady(),
+      persisted: persisted,
+      monitoring_active: true,
+      event_notifications_supported: true
+    });
+  } catch (error) {
+    console.error('❌ Device registration error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a device's stored preferences
+app.get('/api/devices/:deviceToken/preferences', (req, res) => {
+  const userData = users.get(req.params.deviceToken);
+  if (!userData) {
+    return res.status(404).json({ success: false, error: 'Device not registered' });
+  }
+
+  res.json({
+    success: true,
+    preferences: buildPreferencesView(userData),
+    registered_at: userData.registered_at || null,
+    updated_at: userData.updated_at || null
   });
 });
 
+// Partially update a device's preferences (only the sections/keys provided are changed)
+app.patch('/api/devices/:deviceToken/preferences', async (req, res) => {
+  try {
+    const deviceToken = req.params.deviceToken;
+    const userData = users.get(deviceToken);
+    if (!userData) {
+      return res.status(404).json({ success: false, error: 'Device not registered' });
+    }
+
+    const body = req.body || {};
+    const unknownSections = Object.keys(body).filter(key => !PREFERENCE_SECTIONS[key]);
+    if (unknownSections.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown preference sections: ${unknownSections.join(', ')}` });
+    }
+
+    const { errors, sections } = validatePreferenceSections(body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid preferences', details: errors });
+    }
+    if (Object.keys(sections).length === 0) {
+      return res.status(400).json({ success: false, error: 'No preference sections provided' });
+    }
+
+    for (const [name, value] of Object.entries(sections)) {
+      const field = PREFERENCE_SECTIONS[name].field;
+      userData[field] = mergePreferenceSection(userData[field] ?? PREFERENCE_SECTIONS[name].defaultValue(), value);
+    }
+    const { unresolved: unresolvedFavorites } = migrateUserFavorites(userData);
+    const now = new Date().toISOString();
+    userData.registered_at = userData.registered_at || now;
+    userData.updated_at = now;
+    userData.last_updated = now;
+
+    const persisted = await saveUser(deviceToken);
+    console.log(`⚙️ Preferences updated for ${deviceToken.substring(0, 10)}...: ${Object.keys(sections).join(', ')}`);
+
+    res.json({
+      success: true,
+      updated_sections: Object.keys(sections),
+      preferences: buildPreferencesView(userData),
+      unresolved_favorites: unresolvedFavorites,
+      registered_at: userData.registered_at,
+      updated_at: userData.updated_at,
+      persisted
+    });
+  } catch (error) {
+    console.error('❌ Preferences update error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Manual stock update endpoint (for testing)
 app.post('/api/stock-update', async (req, res) => {
   try {
-    const { items, api_secret } = req.body;
+    const { items } = req.body;
     
-    // Simple API secret check
-    const expectedSecret = process.env.API_SECRET || 'growagargen-secret-2025';
-    if (api_secret !== expectedSecret) {
+    if (!hasAdminSecret(req)) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
+    if (rejectIfFollower(res)) return;
+    
     console.log(`📦 Manual stock update for ${items?.length || 0} items`);
     
     if (!items || !Array.isArray(items)) {
@@ -2546,14 +6925,19 @@ app.post('/api/stock-update', async (req, res) => {
     // Store previous stock for comparison
     previousStockItems = new Map(stockItems);
     
-    // Update stock items
+    // Update stock items (keeping the metadata of items that are already listed)
     for (const item of items) {
+      const existing = stockItems.get(item.name);
       stockItems.set(item.name, { 
+        ...existing,
         quantity: item.quantity, 
-        category: item.category || 'manual' 
+        category: item.category || existing?.category || 'manual' 
       });
     }
     
+    // Record the changes for history queries, as for upstream updates
+    await recordStockHistory(diffStockSnapshots(previousStockItems, stockItems));
+    
     // Check for changes and send notifications
     await checkStockChanges();
     
@@ -2572,6 +6956,8 @@ app.post('/api/stock-update', async (req, res) => {
 // Force refresh stock data
 app.post('/api/refresh-stock', async (req, res) => {
   try {
+    if (rejectIfFollower(res)) return;
+    
     console.log('🔄 Manual stock refresh requested');
     await updateStockData();
     
@@ -2593,9 +6979,10 @@ app.post('/api/webhook/stock-update', async (req, res) => {
     
     // Verify webhook secret
     const expectedSecret = process.env.WEBHOOK_SECRET || process.env.API_SECRET || 'growagargen-secret-2025';
-    if (webhook_secret !== expectedSecret) {
+    if (!webhook_secret || !secretsMatch(webhook_secret, expectedSecret)) {
       return res.status(401).json({ error: 'Unauthorized webhook' });
     }
+    if (rejectIfFollower(res)) return;
     
     console.log(`🔥 REAL-TIME WEBHOOK: ${event_type} received`);
     console.log(`🔥 WEBHOOK DATA:`, JSON.stringify(data, null, 2));
@@ -2619,14 +7006,12 @@ app.post('/api/webhook/stock-update', async (req, res) => {
 // Debug: manually trigger availability check
 app.post('/api/check-availability', async (req, res) => {
   try {
-    const { api_secret } = req.body;
-    
-    // Simple API secret check
-    const expectedSecret = process.env.API_SECRET || 'growagargen-secret-2025';
-    if (api_secret !== expectedSecret) {
+    if (!hasAdminSecret(req)) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
+    if (rejectIfFollower(res)) return;
+    
     console.log('🔍 DEBUG: Manually triggering availability check...');
     
     // Use availability check mode - will notify for all items currently in stock
@@ -2648,14 +7033,12 @@ app.post('/api/check-availability', async (req, res) => {
 // Debug: manually trigger automatic monitoring check
 app.post('/api/debug-automatic-monitoring', async (req, res) => {
   try {
-    const { api_secret } = req.body;
-    
-    // Simple API secret check
-    const expectedSecret = process.env.API_SECRET || 'growagargen-secret-2025';
-    if (api_secret !== expectedSecret) {
+    if (!hasAdminSecret(req)) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
+    if (rejectIfFollower(res)) return;
+    
     console.log('🔍 DEBUG: Manually triggering automatic monitoring system...');
     
     // Simulate the automatic monitoring process
@@ -2678,12 +7061,12 @@ app.post('/api/debug-automatic-monitoring', async (req, res) => {
 // Debug: force-send Traveling Merchant notifications to all eligible users
 app.post('/api/debug-send-traveling-merchant', async (req, res) => {
   try {
-    const { api_secret } = req.body || {};
-    const expectedSecret = process.env.API_SECRET || 'growagargen-secret-2025';
-    if (api_secret !== expectedSecret) {
+    if (!hasAdminSecret(req)) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
+    if (rejectIfFollower(res)) return;
+
     const tmItems = Array.from(stockItems.values()).filter(i => i.category === 'traveling_merchant');
     if (tmItems.length === 0) {
       return res.json({ success: false, message: 'No traveling merchant items loaded', items: 0 });
@@ -2708,7 +7091,8 @@ app.get('/api/debug-device-tokens', (req, res) => {
         platform: userData.platform,
         app_version: userData.app_version,
         favorite_count: userData.favorite_items?.length || 0,
-        registered_at: userData.last_updated
+        registered_at: userData.registered_at,
+        updated_at: userData.updated_at
       });
     }
     
@@ -2727,8 +7111,8 @@ app.post('/api/test-all-users', async (req, res) => {
   try {
     const { message } = req.body;
     
-    if (!apnProvider) {
-      return res.status(500).json({ error: 'APNs not configured' });
+    if (!isAnyNotificationChannelReady()) {
+      return res.status(500).json({ error: 'No notification channel (APNs/FCM) configured' });
     }
 
     const testMessage = message || 'this is just a test';
@@ -2740,7 +7124,7 @@ app.post('/api/test-all-users', async (req, res) => {
 
     for (const [deviceToken, userData] of users.entries()) {
       try {
-        const notification = new apn.Notification();
+        const notification = createPushMessage();
         notification.alert = {
           title: '🧪 Test Notification',
           body: testMessage
@@ -2753,11 +7137,10 @@ app.post('/api/test-all-users', async (req, res) => {
         
         notification.badge = 1;
         notification.sound = getUserSoundPreference(deviceToken, 'stock');
-        notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
         notification.threadId = 'test-notifications';
         notification.category = 'TEST_NOTIFICATION';
 
-        const result = await apnProvider.send(notification, [deviceToken]);
+        const result = await sendPushNotification(deviceToken, notification);
         
         if (result.sent.length > 0) {
           console.log(`✅ Test notification sent to ${deviceToken.substring(0, 10)}...`);
@@ -2778,7 +7161,7 @@ app.post('/api/test-all-users', async (req, res) => {
           // Auto-cleanup bad tokens
           if (failure.response?.reason === 'BadDeviceToken' || failure.response?.reason === 'Unregistered') {
             console.log(`🗑️ CLEANUP: Removing invalid device token ${deviceToken.substring(0, 10)}... from users`);
-            users.delete(deviceToken);
+            await removeUser(deviceToken);
           }
         }
       } catch (error) {
@@ -2808,18 +7191,19 @@ app.post('/api/test-all-users', async (req, res) => {
 // Test notification endpoint
 app.post('/api/test-notification', async (req, res) => {
   try {
-    const { device_token, message, category } = req.body;
-    
-    if (!apnProvider) {
-      return res.status(500).json({ error: 'APNs not configured' });
-    }
-
+    const { device_token, message, category, platform } = req.body;
+    
     if (!device_token) {
       return res.status(400).json({ error: 'Device token required' });
     }
 
+    const channel = getDeviceChannel(device_token, platform);
+    if (!channel.isReady()) {
+      return res.status(500).json({ error: `${channel.name} not configured` });
+    }
+
     // Send test notification with NEW UX format
-    const notification = new apn.Notification();
+    const notification = createPushMessage();
     notification.alert = {
       title: '✅ Notification Test',
       body: message || 'This is a test. You\'ll get real alerts like "x15 Bamboo 🎋" when items restock.'
@@ -2833,17 +7217,16 @@ app.post('/api/test-notification', async (req, res) => {
     
     notification.badge = 1;
     notification.sound = getUserSoundPreference(device_token, 'stock');
-    notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
     
     // Professional test notification grouping
     notification.threadId = 'test-notifications';
     notification.category = 'TEST_NOTIFICATION';
 
-    const result = await apnProvider.send(notification, [device_token]);
+    const result = await sendPushNotification(device_token, notification, platform);
     
     console.log(`📧 NEW UX: Test notification sent to ${device_token.substring(0, 10)}... with example format`);
+    console.log(`🔍 DEBUG: Channel: ${channel.name}`);
     console.log(`🔍 DEBUG: APNs Environment: ${process.env.APNS_PRODUCTION === 'true' ? 'Production' : 'Development'}`);
-    console.log(`🔍 DEBUG: Bundle ID: ${notification.topic}`);
     console.log(`🔍 DEBUG: Device Token: ${device_token.substring(0, 20)}...`);
     console.log(`🔍 DEBUG: Notification Title: ${notification.alert.title}`);
     console.log(`🔍 DEBUG: Notification Body: ${notification.alert.body}`);
@@ -2853,8 +7236,9 @@ app.post('/api/test-notification', async (req, res) => {
       message: 'Test notification sent with new UX format',
       example_format: 'x15 Bamboo 🎋',
       category: category || 'Seeds',
+      channel: channel.name,
       apns_environment: process.env.APNS_PRODUCTION === 'true' ? 'Production' : 'Development',
-      bundle_id: notification.topic,
+      bundle_id: channel === notificationChannels.apns ? (process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden') : null,
       result: {
         sent: 0,
         failed: 0,
@@ -2863,12 +7247,12 @@ app.post('/api/test-notification', async (req, res) => {
     };
     
     if (result && result.sent && result.sent.length > 0) {
-      console.log(`✅ APNs confirms: Test notification delivered to ${result.sent.length} devices`);
+      console.log(`✅ ${channel.name} confirms: Test notification delivered to ${result.sent.length} devices`);
       responseData.result.sent = result.sent.length;
     }
     
     if (result && result.failed && result.failed.length > 0) {
-      console.log(`❌ APNs failed to deliver test notification: ${result.failed[0].error || 'Unknown error'}`);
+      console.log(`❌ ${channel.name} failed to deliver test notification: ${result.failed[0].error || 'Unknown error'}`);
       console.log(`❌ DEBUG: Full test failure result:`, JSON.stringify(result.failed[0], null, 2));
       if (result.failed[0].status) {
         console.log(`❌ DEBUG: Error status: ${result.failed[0].status}`);
@@ -2895,6 +7279,8 @@ app.get('/api/stats', (req, res) => {
     stock_items: stockItems.size,
     weather_events: weatherData.size,
     apns_configured: !!apnProvider,
+    fcm_configured: !!fcmConfig,
+    database_configured: isDatabaseReady,
     monitoring_active: true,
     api_version: 'v2',
     api_endpoints: {
@@ -2902,6 +7288,7 @@ app.get('/api/stats', (req, res) => {
       weather: WEATHER_API_URL,
       info: ITEM_INFO_API_URL
     },
+    upstream_sources: upstreamSourceOrder,
     server_time: new Date().toISOString()
   };
   
@@ -2924,6 +7311,269 @@ app.get('/api/discord-info', (req, res) => {
   }
 });
 
+// MARK: - Outbound Webhook Endpoints
+
+// List supported webhook event types
+app.get('/api/webhooks/events', (req, res) => {
+  res.json({ success: true, events: WEBHOOK_EVENT_TYPES });
+});
+
+// Register a webhook subscription (the signing secret is only returned here)
+app.post('/api/webhooks/subscriptions', async (req, res) => {
+  try {
+    if (!hasAdminSecret(req)) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { url, events, description } = req.body || {};
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'A valid url is required' });
+    }
+    const allowInsecure = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+    if (parsedUrl.protocol !== 'https:' && !(allowInsecure && parsedUrl.protocol === 'http:')) {
+      return res.status(400).json({ success: false, error: 'Webhook url must use https' });
+    }
+    try {
+      await assertPublicWebhookTarget(parsedUrl.toString());
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ success: false, error: `events must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}` });
+    }
+    const unknownEvents = events.filter(event => !WEBHOOK_EVENT_TYPES.includes(event));
+    if (unknownEvents.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown event types: ${unknownEvents.join(', ')}` });
+    }
+
+    if (webhookSubscriptions.size >= WEBHOOK_MAX_SUBSCRIPTIONS) {
+      return res.status(429).json({ success: false, error: 'Webhook subscription limit reached' });
+    }
+
+    const subscription = {
+      id: `whsub_${crypto.randomBytes(12).toString('hex')}`,
+      url: parsedUrl.toString(),
+      events: [...new Set(events)],
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      description: description ? String(description).slice(0, 200) : null,
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+
+    webhookSubscriptions.set(subscription.id, subscription);
+    await saveWebhookSubscription(subscription);
+    console.log(`🪝 Webhook subscription created: ${subscription.id} → ${parsedUrl.host} (${subscription.events.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      subscription: serializeWebhookSubscription(subscription),
+      secret: subscription.secret,
+      signature_header: 'X-GAG-Signature: t=<unix>,v1=<hex HMAC-SHA256 of "<unix>.<body>">'
+    });
+  } catch (error) {
+    console.error('❌ Webhook subscription error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: list all subscriptions
+app.get('/api/webhooks/subscriptions', (req, res) => {
+  if (!hasAdminSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({
+    success: true,
+    subscriptions: Array.from(webhookSubscriptions.values()).map(serializeWebhookSubscription),
+    total: webhookSubscriptions.size
+  });
+});
+
+// Get a single subscription
+app.get('/api/webhooks/subscriptions/:id', (req, res) => {
+  const subscription = webhookSubscriptions.get(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ success: false, error: 'Subscription not found' });
+  }
+  if (!isWebhookRequestAuthorized(req, subscription)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ success: true, subscription: serializeWebhookSubscription(subscription) });
+});
+
+// Update events/url/active for a subscription
+app.patch('/api/webhooks/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = webhookSubscriptions.get(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    if (!isWebhookRequestAuthorized(req, subscription)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { events, active, description } = req.body || {};
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENT_TYPES.includes(event))) {
+        return res.status(400).json({ success: false, error: `events must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}` });
+      }
+      subscription.events = [...new Set(events)];
+    }
+    if (active !== undefined) subscription.active = active === true;
+    if (description !== undefined) subscription.description = description ? String(description).slice(0, 200) : null;
+
+    await saveWebhookSubscription(subscription);
+    res.json({ success: true, subscription: serializeWebhookSubscription(subscription) });
+  } catch (error) {
+    console.error('❌ Webhook subscription update error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a subscription (and its delivery log)
+app.delete('/api/webhooks/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = webhookSubscriptions.get(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    if (!isWebhookRequestAuthorized(req, subscription)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    await deleteWebhookSubscription(subscription.id);
+    console.log(`🗑️ Webhook subscription deleted: ${subscription.id}`);
+    res.json({ success: true, message: 'Subscription deleted' });
+  } catch (error) {
+    console.error('❌ Webhook subscription delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log for a subscription (newest first)
+app.get('/api/webhooks/subscriptions/:id/deliveries', async (req, res) => {
+  try {
+    const subscription = webhookSubscriptions.get(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    if (!isWebhookRequestAuthorized(req, subscription)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50') || 50, 1), 500);
+    let deliveries;
+    if (isDatabaseReady) {
+      const result = await dbPool.query(
+        `SELECT id, event_type, status, attempts, response_status, last_error, next_attempt_at, created_at, delivered_at
+         FROM webhook_deliveries WHERE subscription_id = $1 ORDER BY created_at DESC LIMIT $2`,
+        [subscription.id, limit]
+      );
+      deliveries = result.rows.map(row => ({
+        ...row,
+        next_attempt_at: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+        created_at: new Date(row.created_at).toISOString(),
+        delivered_at: row.delivered_at ? new Date(row.delivered_at).toISOString() : null
+      }));
+    } else {
+      deliveries = Array.from(webhookDeliveries.values())
+        .filter(delivery => delivery.subscriptionId === subscription.id)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(serializeWebhookDelivery);
+    }
+
+    res.json({ success: true, subscription_id: subscription.id, deliveries });
+  } catch (error) {
+    console.error('❌ Webhook delivery log error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a signed ping to one subscription
+app.post('/api/webhooks/subscriptions/:id/ping', async (req, res) => {
+  try {
+    const subscription = webhookSubscriptions.get(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    if (!isWebhookRequestAuthorized(req, subscription)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const createdAt = new Date().toISOString();
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      subscriptionId: subscription.id,
+      eventType: 'ping',
+      payload: { id, type: 'ping', created_at: createdAt, data: { message: 'Webhook ping' } },
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: 1, // pings are not retried
+      responseStatus: null,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      createdAt,
+      deliveredAt: null
+    };
+    webhookDeliveries.set(delivery.id, delivery);
+    await attemptWebhookDelivery(delivery);
+
+    res.json({ success: delivery.status === 'succeeded', delivery: serializeWebhookDelivery(delivery) });
+  } catch (error) {
+    console.error('❌ Webhook ping error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Discord webhook configuration (URLs are not exposed)
+app.get('/api/discord-webhooks', (req, res) => {
+  const webhooks = discordWebhooks.map(webhook => ({
+    name: webhook.name,
+    events: webhook.events,
+    categories: webhook.categories,
+    min_rarity: webhook.minRarity,
+    items: webhook.items
+  }));
+  res.json({ success: true, webhooks, total: webhooks.length });
+});
+
+// Debug: post a test embed to every configured Discord webhook
+app.post('/api/debug-discord-test', async (req, res) => {
+  try {
+    if (!hasAdminSecret(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const results = [];
+    for (const webhook of discordWebhooks) {
+      try {
+        await postDiscordEmbeds(webhook, [{
+          title: '🧪 Test Post',
+          description: `Webhook "${webhook.name}" is configured for: ${webhook.events.join(', ')}`,
+          color: DISCORD_RARITY_COLORS['Rare'],
+          timestamp: new Date().toISOString()
+        }]);
+        results.push({ name: webhook.name, status: 'sent' });
+      } catch (error) {
+        results.push({ name: webhook.name, status: 'failed', reason: error.message });
+      }
+    }
+
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('❌ Discord test error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Data freshness endpoint - shows how fresh the current data is
 app.get('/api/data-freshness', (req, res) => {
   const now = new Date();
@@ -2941,7 +7591,8 @@ app.get('/api/data-freshness', (req, res) => {
         seconds_ago: Math.floor((now - lastStockUpdateTime) / 1000),
         freshness_rating: getFreshnessRating(now, lastStockUpdateTime)
       } : null,
-      items_count: stockItems.size
+      items_count: stockItems.size,
+      enrichment: serializeStockEnrichment()
     },
     weather_data: {
       last_update: lastWeatherUpdateTime ? {
@@ -2955,12 +7606,53 @@ app.get('/api/data-freshness', (req, res) => {
       total_calls: apiCallCount,
       successful_calls: successfulAPICallCount,
       success_rate: apiCallCount > 0 ? Math.round((successfulAPICallCount / apiCallCount) * 100) : 0
+    },
+    upstream_sources: {
+      priority: upstreamSourceOrder,
+      last_stock_source: lastStockSource,
+      // Degraded when the last fetch failed or no configured stock source has a closed circuit
+      degraded: !!stockFetchFallback || !getActiveUpstreamSources('stock').some(name => getUpstreamBreaker(name, 'stock').state === 'closed'),
+      stock_fallback: stockFetchFallback,
+      replay: serializeUpstreamReplay(),
+      payload_validation: {
+        rejected_payloads: payloadValidationStats.rejectedPayloads,
+        dropped_items: payloadValidationStats.droppedItems,
+        quarantined_snapshots: payloadValidationStats.quarantinedSnapshots,
+        accepted_anomalies: payloadValidationStats.acceptedAnomalies,
+        pending_anomaly: pendingStockAnomaly ? {
+          reasons: pendingStockAnomaly.signature.split('|'),
+          consecutive_polls: pendingStockAnomaly.count,
+          polls_until_accepted: STOCK_ANOMALY_CONFIRMATIONS - pendingStockAnomaly.count
+        } : null,
+        latest_quarantined: quarantinedStockSnapshots[0] ? serializeQuarantinedSnapshot(quarantinedStockSnapshots[0]) : null
+      },
+      circuit_breakers: Array.from(upstreamBreakers.values()).map(serializeUpstreamBreaker),
+      sources: upstreamSourceOrder.map(name => ({
+        name,
+        label: upstreamSources[name].label,
+        configured: upstreamSources[name].isConfigured(),
+        resources: Object.keys(upstreamSources[name].urls),
+        ...(upstreamSourceStatus.get(name) || {})
+      }))
     }
   };
   
   res.json(freshness);
 });
 
+// Admin: stock snapshots held back by anomaly checks, with their raw payloads
+app.get('/api/stock/quarantine', (req, res) => {
+  if (!hasAdminSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({
+    success: true,
+    snapshots: quarantinedStockSnapshots.map(snapshot => serializeQuarantinedSnapshot(snapshot, true)),
+    total: quarantinedStockSnapshots.length
+  });
+});
+
 // Helper function to rate data freshness
 function getFreshnessRating(now, lastUpdate) {
   if (!lastUpdate) return 'unknown';
@@ -2977,16 +7669,17 @@ function getFreshnessRating(now, lastUpdate) {
 // Test weather notification endpoint
 app.post('/api/test-weather-notification', async (req, res) => {
   try {
-    const { device_token, weather_name, is_active } = req.body;
+    const { device_token, weather_name, is_active, platform } = req.body;
     
-    if (!apnProvider) {
-      return res.status(500).json({ error: 'APNs not configured' });
-    }
-
     if (!device_token) {
       return res.status(400).json({ error: 'Device token required' });
     }
 
+    const channel = getDeviceChannel(device_token, platform);
+    if (!channel.isReady()) {
+      return res.status(500).json({ error: `${channel.name} not configured` });
+    }
+
     // Create mock weather event for testing
     const mockWeatherEvent = {
       weatherId: 'test_weather',
@@ -2997,12 +7690,13 @@ app.post('/api/test-weather-notification', async (req, res) => {
       duration: 1800 // 30 minutes
     };
 
-    await sendWeatherNotification(device_token, [mockWeatherEvent], mockWeatherEvent.isActive ? 'active' : 'ended');
+    await sendWeatherNotification(device_token, [mockWeatherEvent], mockWeatherEvent.isActive ? 'active' : 'ended', platform);
     
     res.json({
       success: true,
       message: 'Weather test notification sent',
       weather_event: mockWeatherEvent,
+      channel: channel.name,
       apns_environment: process.env.APNS_PRODUCTION === 'true' ? 'Production' : 'Development'
     });
     
@@ -3016,12 +7710,27 @@ app.post('/api/test-weather-notification', async (req, res) => {
 app.get('/api/debug-users-favorites', (req, res) => {
   try {
     const usersInfo = [];
+    const stockIndex = indexStockItems(stockItems);
     
     for (const [deviceToken, userData] of users) {
+      // Each favorite item_id with its catalog name and current stock (resolved=false: a name not migrated yet)
+      const favorites = (userData.favorite_items || []).map(favorite => {
+        const catalogEntry = findCatalogEntry(favorite);
+        const stockName = findIndexedStockItem(stockIndex, favorite);
+        return {
+          item_id: catalogEntry?.itemId || (stockName ? getStockItemId(stockName, stockItems.get(stockName)) : favorite),
+          name: catalogEntry?.name || stockName || null,
+          resolved: !!catalogEntry || !!stockName,
+          in_stock: stockName ? stockItems.get(stockName).quantity > 0 : false,
+          quantity: stockName ? stockItems.get(stockName).quantity : 0
+        };
+      });
       usersInfo.push({
         device_token_preview: deviceToken.substring(0, 10) + '...',
         favorite_items: userData.favorite_items || [],
+        favorites: favorites,
         favorites_count: (userData.favorite_items || []).length,
+        favorite_item_settings: userData.favorite_item_settings || {},
         favorite_weather_events: userData.favorite_weather_events || [],
         weather_favorites_count: (userData.favorite_weather_events || []).length,
         notification_enabled: userData.notification_settings?.enabled || false,
@@ -3075,17 +7784,13 @@ app.get('/api/debug-user/:deviceToken', (req, res) => {
 });
 
 // Clear notification deduplication cache (for testing)
-app.post('/api/clear-notification-cache', (req, res) => {
+app.post('/api/clear-notification-cache', async (req, res) => {
   try {
-    const { api_secret } = req.body;
-    
-    // Simple API secret check
-    const expectedSecret = process.env.API_SECRET || 'growagargen-secret-2025';
-    if (api_secret !== expectedSecret) {
+    if (!hasAdminSecret(req)) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
-    recentNotifications.clear();
+    await clearNotificationDedup();
     console.log('🧹 Cleared notification deduplication cache');
     
     res.json({
@@ -3100,14 +7805,66 @@ app.post('/api/clear-notification-cache', (req, res) => {
   }
 });
 
+// Whether an icon id belongs to a catalog item, a known weather or an already mirrored icon
+function isKnownIconId(iconId) {
+  if (mirroredIcons.has(iconId)) return true;
+  if (iconId.startsWith('weather.')) return weatherData.has(iconId.slice('weather.'.length));
+  return !!findCatalogEntry(iconId);
+}
+
+// Mirrored item/weather icon as a square PNG (?size=64|128|256); a generated placeholder when there is no image
+app.get('/api/icons/:id', async (req, res) => {
+  try {
+    const size = req.query.size === undefined ? ICON_DEFAULT_SIZE : parseInt(req.query.size);
+    if (!ICON_SIZES.includes(size)) {
+      return res.status(400).json({ success: false, error: `size must be one of: ${ICON_SIZES.join(', ')}` });
+    }
+
+    const iconId = req.params.id;
+    if (!isKnownIconId(iconId)) {
+      return res.status(404).json({ success: false, error: 'Unknown icon' });
+    }
+
+    let icon = mirroredIcons.get(iconId);
+    // Another dyno may have mirrored a newer image (its URL carries the new hash); junk ?v= values don't hit the DB
+    const requestedHash = ICON_HASH_PATTERN.test(req.query.v || '') ? req.query.v : null;
+    if (!icon || (requestedHash && requestedHash !== icon.hash)) {
+      icon = await loadMirroredIcon(iconId);
+    }
+    // Catalog items that haven't been in stock since the mirror was added are downloaded on first request
+    const catalogIcon = findCatalogEntry(iconId)?.icon;
+    if (!icon && catalogIcon) {
+      icon = await mirrorIcon(iconId, catalogIcon) ? mirroredIcons.get(iconId) : null;
+    }
+
+    const etag = icon ? `"${icon.hash}-${size}"` : null;
+    if (etag && req.get('If-None-Match') === etag) {
+      res.set('ETag', etag);
+      res.set('Cache-Control', req.query.v === icon.hash ? 'public, max-age=31536000, immutable' : 'public, max-age=3600');
+      return res.status(304).end();
+    }
+
+    // No variant when the icon was never mirrored, or its bytes were replaced by a newer download meanwhile
+    const variant = icon ? await renderIconVariant(icon, size) : null;
+    if (!variant) {
+      res.set('Cache-Control', 'public, max-age=300');
+      res.set('X-Icon-Placeholder', 'true');
+      return res.type('png').send(await renderIconPlaceholder(iconId, size));
+    }
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', req.query.v === icon.hash ? 'public, max-age=31536000, immutable' : 'public, max-age=3600');
+    res.type('png').send(variant);
+  } catch (error) {
+    console.error(`❌ Error serving icon ${req.params.id}:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Clear image validation cache (for testing)
 app.post('/api/clear-image-cache', (req, res) => {
   try {
-    const { api_secret } = req.body;
-    
-    // Simple API secret check
-    const expectedSecret = process.env.API_SECRET || 'growagargen-secret-2025';
-    if (api_secret !== expectedSecret) {
+    if (!hasAdminSecret(req)) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
@@ -3130,11 +7887,7 @@ app.post('/api/clear-image-cache', (req, res) => {
 // Clear item info cache (for testing)
 app.post('/api/clear-item-info-cache', (req, res) => {
   try {
-    const { api_secret } = req.body;
-    
-    // Simple API secret check
-    const expectedSecret = process.env.API_SECRET || 'growagargen-secret-2025';
-    if (api_secret !== expectedSecret) {
+    if (!hasAdminSecret(req)) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
@@ -3162,9 +7915,29 @@ app.get('/api/image-cache-stats', (req, res) => {
       valid_images: 0,
       invalid_images: 0,
       cache_duration_hours: IMAGE_CACHE_DURATION / (60 * 60 * 1000),
+      icon_mirror: {
+        icons: mirroredIcons.size,
+        bytes: [...mirroredIcons.values()].reduce((sum, icon) => sum + (icon.byteLength || 0), 0),
+        cached_variants: iconVariants.size,
+        sizes: ICON_SIZES
+      },
+      revalidation: {
+        queued: iconRevalidationQueue.size,
+        in_flight: iconDownloads.size,
+        concurrency: ICON_REVALIDATION_CONCURRENCY,
+        retry_delays_seconds: ICON_REVALIDATION_RETRY_DELAYS_MS.map(ms => ms / 1000),
+        checks: iconRevalidationStats.checks,
+        successes: iconRevalidationStats.successes,
+        failures: iconRevalidationStats.failures,
+        retries: iconRevalidationStats.retries,
+        abandoned: iconRevalidationStats.abandoned,
+        last_run_at: iconRevalidationStats.lastRunAt,
+        failure_reasons: iconRevalidationStats.failureReasons
+      },
       entries: []
     };
     
+    const jobsByUrl = new Map([...iconRevalidationQueue.values()].map(job => [job.sourceUrl, job]));
     for (const [url, data] of imageValidationCache) {
       if (data.isValid) {
         stats.valid_images++;
@@ -3172,11 +7945,23 @@ app.get('/api/image-cache-stats', (req, res) => {
         stats.invalid_images++;
       }
       
+      const job = jobsByUrl.get(url);
       stats.entries.push({
         url: url,
         is_valid: data.isValid,
+        reason: data.reason || null,
         last_checked: new Date(data.lastChecked).toISOString(),
-        age_minutes: Math.round((Date.now() - data.lastChecked) / (60 * 1000))
+        last_success_at: data.lastSuccessAt,
+        consecutive_failures: data.consecutiveFailures,
+        age_minutes: Math.round((Date.now() - data.lastChecked) / (60 * 1000)),
+        // Pending retry, if the worker hasn't given up on this URL yet
+        retry: job ? { icon_id: job.iconId, attempts: job.attempt, next_attempt_at: new Date(job.dueAt).toISOString() } : null,
+        history: data.history.map(check => ({
+          checked_at: check.checkedAt,
+          ok: check.ok,
+          reason: check.reason,
+          duration_ms: check.durationMs
+        }))
       });
     }
     
@@ -3223,61 +8008,15 @@ app.get('/api/item-info-cache-stats', (req, res) => {
   }
 });
 
-// Countdown endpoints for shop restock times
-app.get('/api/countdown/seeds', (req, res) => {
-  try {
-    const startTime = process.hrtime.bigint();
-    const countdownData = calculateCategoryCountdown('seeds', 5, 'minutes');
-    const endTime = process.hrtime.bigint();
-    
-    console.log(`⏰ Seeds countdown calculated in ${Number(endTime - startTime) / 1000000}ms`);
-    res.json(countdownData);
-  } catch (error) {
-    console.error('❌ Seeds countdown error:', error);
-    res.status(500).json({ error: 'Failed to calculate seeds countdown', details: error.message });
-  }
-});
-
-app.get('/api/countdown/gear', (req, res) => {
-  try {
-    const startTime = process.hrtime.bigint();
-    const countdownData = calculateCategoryCountdown('gear', 5, 'minutes');
-    const endTime = process.hrtime.bigint();
-    
-    console.log(`⏰ Gear countdown calculated in ${Number(endTime - startTime) / 1000000}ms`);
-    res.json(countdownData);
-  } catch (error) {
-    console.error('❌ Gear countdown error:', error);
-    res.status(500).json({ error: 'Failed to calculate gear countdown', details: error.message });
-  }
-});
-
-app.get('/api/countdown/eggs', (req, res) => {
-  try {
-    const startTime = process.hrtime.bigint();
-    const countdownData = calculateCategoryCountdown('eggs', 30, 'minutes');
-    const endTime = process.hrtime.bigint();
-    
-    console.log(`⏰ Eggs countdown calculated in ${Number(endTime - startTime) / 1000000}ms`);
-    res.json(countdownData);
-  } catch (error) {
-    console.error('❌ Eggs countdown error:', error);
-    res.status(500).json({ error: 'Failed to calculate eggs countdown', details: error.message });
-  }
-});
-
-app.get('/api/countdown/cosmetic', (req, res) => {
-  try {
-    const startTime = process.hrtime.bigint();
-    const countdownData = calculateCategoryCountdown('cosmetic', 4, 'hours');
-    const endTime = process.hrtime.bigint();
-    
-    console.log(`⏰ Cosmetics countdown calculated in ${Number(endTime - startTime) / 1000000}ms`);
-    res.json(countdownData);
-  } catch (error) {
-    console.error('❌ Cosmetics countdown error:', error);
-    res.status(500).json({ error: 'Failed to calculate cosmetics countdown', details: error.message });
-  }
+// Registered shop categories (built-in, configured and discovered from upstream)
+app.get('/api/shop-categories', (req, res) => {
+  res.json({
+    success: true,
+    categories: getShopCategories().map(shop => ({
+      ...serializeShopCategory(shop),
+      items_in_stock: Array.from(stockItems.values()).filter(item => item.category === shop.id && item.quantity > 0).length
+    }))
+  });
 });
 
 // High-performance combined countdown endpoint
@@ -3286,13 +8025,10 @@ app.get('/api/countdown/all', (req, res) => {
     const startTime = process.hrtime.bigint();
     const utcNow = new Date();
     
-    // Calculate all countdowns efficiently in one pass
-    const categories = [
-      { name: 'seeds', interval: 5, type: 'minutes' },
-      { name: 'gear', interval: 5, type: 'minutes' },
-      { name: 'eggs', interval: 30, type: 'minutes' },
-      { name: 'cosmetic', interval: 4, type: 'hours' }
-    ];
+    // Calculate all countdowns efficiently in one pass (merchants have their own window endpoint)
+    const categories = getShopCategories()
+      .filter(shop => shop.cycle && !shop.merchant)
+      .map(shop => ({ name: shop.id, interval: shop.cycle.interval, type: shop.cycle.type }));
     
     const countdowns = {};
     
@@ -3327,6 +8063,26 @@ app.get('/api/countdown/all', (req, res) => {
   }
 });
 
+// Countdown to the next restock of one shop (e.g., /api/countdown/seeds)
+app.get('/api/countdown/:category', (req, res) => {
+  const shop = getShopCategory(req.params.category);
+  if (!shop || !shop.cycle || shop.merchant) {
+    return res.status(404).json({ error: `No restock countdown for category: ${req.params.category}` });
+  }
+  
+  try {
+    const startTime = process.hrtime.bigint();
+    const countdownData = calculateCategoryCountdown(shop.id, shop.cycle.interval, shop.cycle.type);
+    const endTime = process.hrtime.bigint();
+    
+    console.log(`⏰ ${shop.displayName} countdown calculated in ${Number(endTime - startTime) / 1000000}ms`);
+    res.json(countdownData);
+  } catch (error) {
+    console.error(`❌ ${shop.displayName} countdown error:`, error);
+    res.status(500).json({ error: `Failed to calculate ${shop.id} countdown`, details: error.message });
+  }
+});
+
 // High-performance countdown calculation function
 function calculateCategoryCountdown(category, interval, type) {
   const utcNow = new Date();
@@ -3560,21 +8316,20 @@ app.get('/api/debug-always-shown-items', (req, res) => {
   try {
     const alwaysShownItems = parseAlwaysShownItems();
     
-    const rarityFixes = parseRarityFixes();
+    const rarityOverrides = Array.from(rarityRegistry.values()).filter(entry => RARITY_OVERRIDE_SOURCES.includes(entry.source));
     
     const response = {
       success: true,
       always_shown_items: alwaysShownItems,
-      rarity_fixes: Object.fromEntries(rarityFixes),
+      rarity_fixes: Object.fromEntries(rarityOverrides.map(entry => [entry.itemId, entry.rarity])),
       environment_variables: {
-        SEED_SHOP_ITEM_ID: process.env.SEED_SHOP_ITEM_ID || null,
-        GEAR_SHOP_ITEM_ID: process.env.GEAR_SHOP_ITEM_ID || null,
-        EGG_SHOP_ITEM_ID: process.env.EGG_SHOP_ITEM_ID || null,
-        COSMETICS_SHOP_ITEM_ID: process.env.COSMETICS_SHOP_ITEM_ID || null,
+        ...Object.fromEntries(getShopCategories()
+          .filter(shop => shop.alwaysShownEnv)
+          .map(shop => [shop.alwaysShownEnv, process.env[shop.alwaysShownEnv] || null])),
         RARITY_FIX: process.env.RARITY_FIX || null
       },
-      total_configured: alwaysShownItems.seeds.length + alwaysShownItems.gear.length + alwaysShownItems.eggs.length + alwaysShownItems.cosmetic.length,
-      total_rarity_fixes: rarityFixes.size,
+      total_configured: Object.values(alwaysShownItems).reduce((total, itemIds) => total + itemIds.length, 0),
+      total_rarity_fixes: rarityOverrides.length,
       timestamp: new Date().toISOString()
     };
     
@@ -3591,6 +8346,117 @@ app.get('/api/debug-always-shown-items', (req, res) => {
   }
 });
 
+// MARK: - Rarity Registry Endpoints
+
+// List overrides and learned rarities (?source=admin|env|api), plus the built-in defaults
+app.get('/api/admin/rarities', (req, res) => {
+  if (!hasAdminSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const source = req.query.source || null;
+  const entries = Array.from(rarityRegistry.values())
+    .filter(entry => !source || entry.source === source)
+    .sort((a, b) => a.itemId.localeCompare(b.itemId));
+
+  res.json({
+    success: true,
+    rarities: entries.map(serializeRarityEntry),
+    total: entries.length,
+    defaults: DEFAULT_ITEM_RARITIES
+  });
+});
+
+app.get('/api/admin/rarities/:itemId', async (req, res) => {
+  if (!hasAdminSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const itemId = req.params.itemId;
+    const entry = rarityRegistry.get(itemId);
+    const itemName = entry?.itemName || req.query.item_name || null;
+    const resolved = resolveItemRarity({ itemId, itemName, apiRarity: itemInfoCache.get(itemId)?.data?.rarity });
+
+    res.json({
+      success: true,
+      item_id: itemId,
+      entry: entry ? serializeRarityEntry(entry) : null,
+      resolved_rarity: resolved.rarity,
+      resolved_source: resolved.source,
+      audit: (await getRarityAudit({ itemId, limit: 20 })).map(serializeRarityAudit)
+    });
+  } catch (error) {
+    console.error('❌ Rarity lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set an override: { rarity, item_name?, actor?, note? }
+app.put('/api/admin/rarities/:itemId', async (req, res) => {
+  if (!hasAdminSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const rarity = normalizeRarity(req.body?.rarity);
+  if (!rarity) {
+    return res.status(400).json({ success: false, error: `rarity must be one of: ${ITEM_RARITIES.join(', ')}` });
+  }
+  if (req.body.item_name !== undefined && typeof req.body.item_name !== 'string') {
+    return res.status(400).json({ success: false, error: 'item_name must be a string' });
+  }
+
+  try {
+    const { entry, changed } = await setRarityOverride(req.params.itemId, {
+      rarity,
+      itemName: req.body.item_name || null,
+      actor: String(req.body.actor || 'admin').slice(0, 100),
+      note: req.body.note ? String(req.body.note).slice(0, 500) : null
+    });
+    res.json({ success: true, changed, rarity: serializeRarityEntry(entry) });
+  } catch (error) {
+    console.error('❌ Rarity update error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/rarities/:itemId', async (req, res) => {
+  if (!hasAdminSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const removed = await removeRarityOverride(req.params.itemId, {
+      actor: String(req.body?.actor || req.query.actor || 'admin').slice(0, 100),
+      note: req.body?.note ? String(req.body.note).slice(0, 500) : null
+    });
+    if (!removed) {
+      return res.status(404).json({ success: false, error: `No rarity override for ${req.params.itemId}` });
+    }
+    const resolved = resolveItemRarity({ itemId: removed.itemId, itemName: removed.itemName });
+    res.json({ success: true, removed: serializeRarityEntry(removed), resolved_rarity: resolved.rarity, resolved_source: resolved.source });
+  } catch (error) {
+    console.error('❌ Rarity delete error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Audit trail of override changes (?item_id=&limit=)
+app.get('/api/admin/rarity-audit', async (req, res) => {
+  if (!hasAdminSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50') || 50, 1), RARITY_AUDIT_MEMORY_LIMIT);
+    const audit = await getRarityAudit({ itemId: req.query.item_id || null, limit });
+    res.json({ success: true, audit: audit.map(serializeRarityAudit), total: audit.length });
+  } catch (error) {
+    console.error('❌ Rarity audit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Debug endpoint to test item rarity fetching
 app.get('/api/debug-item-rarity/:itemId', async (req, res) => {
   try {
@@ -3601,16 +8467,20 @@ app.get('/api/debug-item-rarity/:itemId', async (req, res) => {
     // Fetch item info directly
     const itemInfo = await fetchItemInfo(itemId);
     
-    const rarityOverride = getRarityOverride(itemId);
-    const finalRarity = rarityOverride || itemInfo?.rarity || null;
+    const itemName = itemInfo?.display_name || null;
+    const resolved = resolveItemRarity({ itemId, itemName, apiRarity: itemInfo?.rarity });
+    const registryEntry = rarityRegistry.get(itemId);
     
     const response = {
       success: true,
       item_id: itemId,
       item_info: itemInfo,
       rarity_from_api: itemInfo?.rarity || null,
-      rarity_override: rarityOverride,
-      final_rarity: finalRarity,
+      rarity_override: getRarityOverride(itemId, itemName),
+      registry_entry: registryEntry ? serializeRarityEntry(registryEntry) : null,
+      rarity_source: resolved.source,
+      final_rarity: resolved.rarity,
+      should_notify: getRarityInfo(resolved.rarity || 'Rare').shouldNotify,
       timestamp: new Date().toISOString()
     };
     
@@ -3632,11 +8502,14 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`🚀 GAG Stocks server running on port ${PORT}`);
   console.log(`📱 APNs ready: ${!!apnProvider}`);
+  console.log(`🤖 FCM ready: ${!!fcmConfig}`);
+  console.log(`🗄️ Database: ${process.env.DATABASE_URL ? 'DATABASE_URL SET' : 'NOT SET (in-memory only)'}`);
   console.log(`🔗 v2 API endpoints:`);
   console.log(`   📦 Stock: ${STOCK_API_URL}`);
   console.log(`   🌦️ Weather: ${WEATHER_API_URL}`);
   console.log(`   🎉 Events: ${EVENT_API_URL}`);
   console.log(`   ℹ️ Info: ${ITEM_INFO_API_URL}`);
+  console.log(`🔀 Upstream sources (priority): ${upstreamSourceOrder.map(name => `${name}${upstreamSources[name].isConfigured() ? '' : ' (not configured)'}`).join(', ')}`);
   console.log(`🔑 Team ID: ${process.env.APNS_TEAM_ID || '8U376J9B6U'}`);
   console.log(`🆔 Key ID: ${process.env.APNS_KEY_ID || 'F9J436633X'}`);
   console.log(`🔐 v2 API Key: ${process.env.JSTUDIO_API_KEY ? 'SET' : 'NOT SET'}`);
@@ -3661,7 +8534,7 @@ app.listen(PORT, () => {
   console.log(`   ✅ Rich item metadata (icons, dates)`);
   console.log(`   ✅ Enhanced stock data structure`);
   console.log(`   ✅ Reduced hardcoded dependencies`);
-  console.log(`🖼️ Image validation: Stock items + Weather icons (1hr cache)`);
+  console.log(`🖼️ Icon mirror: Stock items + Weather icons at /api/icons/:id (sizes ${ICON_SIZES.join(', ')})`);
   
   // Log event timer configuration
   const eventTimer = process.env.EVENT_TIMER || '00';
@@ -3685,24 +8558,16 @@ app.listen(PORT, () => {
   // Log always-shown items configuration
   const alwaysShownItems = parseAlwaysShownItems();
   console.log(`📋 Always-shown items configuration:`);
-  console.log(`   Seeds: ${alwaysShownItems.seeds.length > 0 ? alwaysShownItems.seeds.join(', ') : 'none configured'}`);
-  console.log(`   Gear: ${alwaysShownItems.gear.length > 0 ? alwaysShownItems.gear.join(', ') : 'none configured'}`);
-  console.log(`   Eggs: ${alwaysShownItems.eggs.length > 0 ? alwaysShownItems.eggs.join(', ') : 'none configured'}`);
-  console.log(`   Cosmetic: ${alwaysShownItems.cosmetic.length > 0 ? alwaysShownItems.cosmetic.join(', ') : 'none configured'}`);
+  for (const [category, itemIds] of Object.entries(alwaysShownItems)) {
+    console.log(`   ${getShopCategory(category).displayName}: ${itemIds.length > 0 ? itemIds.join(', ') : 'none configured'}`);
+  }
   console.log(`   These items will always be shown for favoriting, even when out of stock`);
+  console.log(`🏪 Shop categories: ${getShopCategories().map(shop => shop.id).join(', ')}`);
   
-  // Log rarity fixes configuration
-  const rarityFixes = parseRarityFixes();
-  console.log(`🔧 Rarity fixes configuration:`);
-  if (rarityFixes.size > 0) {
-    for (const [itemId, rarity] of rarityFixes) {
-      console.log(`   ${itemId} → ${rarity}`);
-    }
-    console.log(`   These override API rarity values for specific items`);
-  } else {
-    console.log(`   No rarity fixes configured (set RARITY_FIX env var if needed)`);
-    console.log(`   Format: RARITY_FIX=item_id=rarity,another_item=rarity`);
-    console.log(`   Example: RARITY_FIX=giant_pinecone=Prismatic,another_item=Legendary`);
+  // Log rarity registry configuration
+  console.log(`🔧 Rarity registry: overrides via PUT /api/admin/rarities/:itemId (audited)`);
+  if (process.env.RARITY_FIX) {
+    console.log(`   RARITY_FIX will be imported at startup: ${process.env.RARITY_FIX}`);
   }
 });
 
@@ -4044,8 +8909,8 @@ function parseSubscriptionInfo(validationResult) {
 
 // Check if it's time to send event notifications based on current time and user preferences
 async function checkEventNotifications() {
-  if (!currentEvent || users.size === 0) {
-    return; // No event or users to notify
+  if (!currentEvent) {
+    return; // No event to notify about
   }
 
   const now = new Date();
@@ -4079,6 +8944,22 @@ async function checkEventNotifications() {
     minutesBefore = 60 - minutesBefore; // Handle hour wrap-around
   }
 
+  // Webhook subscribers get each reminder once, even though the check can run twice within the window
+  const reminderKey = `${currentEvent.name}-${now.toISOString().slice(0, 13)}-${currentMinute}`;
+  if (lastEventReminderWebhookKey !== reminderKey) {
+    lastEventReminderWebhookKey = reminderKey;
+    emitWebhookEvent('event_reminder', {
+      event_name: currentEvent.name,
+      event_icon: currentEvent.icon,
+      minutes_before: minutesBefore,
+      event_minute: eventMinute
+    });
+  }
+
+  if (users.size === 0) {
+    return; // No users to notify
+  }
+
   console.log(`🎉 EVENT NOTIFICATION CHECK: Current time ${currentMinute}:${currentSecond}, Event time :${eventMinute}, Minutes before: ${minutesBefore}`);
   console.log(`🎉 Event: ${currentEvent.name}`);
 
@@ -4121,7 +9002,7 @@ async function sendEventNotificationForUser(deviceToken, userData, event, minute
   }
 
   // Create appropriate notification message based on timing
-  const notification = new apn.Notification();
+  const notification = createPushMessage();
   
   if (minutesBefore === 0) {
     // Event starting now
@@ -4148,7 +9029,6 @@ async function sendEventNotificationForUser(deviceToken, userData, event, minute
   
   notification.badge = 1;
   notification.sound = `${eventSound}.mp3`;
-  notification.topic = process.env.APNS_BUNDLE_ID || 'drshpackz.GrowAGarden';
   
   // Group event notifications
   notification.threadId = 'event-reminders';
@@ -4157,7 +9037,7 @@ async function sendEventNotificationForUser(deviceToken, userData, event, minute
   const eventStatus = minutesBefore === 0 ? 'started' : `starting in ${minutesBefore}min`;
   console.log(`🎉 Sending event notification to ${deviceToken.substring(0, 10)}... for ${event.name} (${eventStatus}, sound: ${eventSound})`);
 
-  const result = await apnProvider.send(notification, [deviceToken]);
+  const result = await deliverUserNotification(deviceToken, notification);
   
   if (result.sent.length > 0) {
     console.log(`✅ Sent event notification to ${deviceToken.substring(0, 10)}... (${eventStatus})`);
@@ -4171,7 +9051,7 @@ async function sendEventNotificationForUser(deviceToken, userData, event, minute
     // Auto-cleanup bad device tokens
     if (failure.response?.reason === 'BadDeviceToken' || failure.response?.reason === 'Unregistered') {
       console.log(`🗑️ CLEANUP: Removing invalid device token ${deviceToken.substring(0, 10)}... from users`);
-      users.delete(deviceToken);
+      await removeUser(deviceToken);
     }
   }
 }